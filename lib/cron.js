@@ -0,0 +1,129 @@
+// Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week".
+// Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 9-17/2).
+// Day-of-week is 0-6 with 0 (or 7) = Sunday. When both day fields are
+// restricted a day matches either, as in standard cron. Times are server-local.
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'Minute', min: 0, max: 59 },
+  { name: 'Hour', min: 0, max: 23 },
+  { name: 'Day of month', min: 1, max: 31 },
+  { name: 'Month', min: 1, max: 12 },
+  { name: 'Day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const SEARCH_LIMIT_YEARS = 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText, extra] = part.split('/');
+    if (range === '' || extra !== undefined) {
+      throw new Error(`Invalid ${name.toLowerCase()} "${part}"`);
+    }
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${name.toLowerCase()}`);
+    }
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const boundTexts = range.split('-');
+      const bounds = boundTexts.map(Number);
+      if (bounds.length > 2 || boundTexts.some(b => b === '') || bounds.some(n => !Number.isInteger(n))) {
+        throw new Error(`Invalid ${name.toLowerCase()} "${part}"`);
+      }
+      start = bounds[0];
+      end = bounds.length === 2 ? bounds[1] : (stepText === undefined ? start : max);
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${name.toLowerCase()} range "${range}"`);
+    }
+    if (start < min || end > max) {
+      throw new Error(`${name} must be between ${min} and ${max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+// Parse an expression; throws an Error with a readable message when invalid
+function parseCron(expression) {
+  const source = ALIASES[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Schedule must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+// First time strictly after `from` that matches the expression, or null
+function nextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getFullYear() + SEARCH_LIMIT_YEARS;
+
+  while (date.getFullYear() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
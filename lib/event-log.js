@@ -0,0 +1,58 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Events kept for clients catching up after a disconnect
+const DEFAULT_SIZE = 1000;
+
+// Numbers every broadcast event and keeps the most recent ones, so a client
+// that saw events up to some seq can be sent exactly what it missed.
+//
+// Sequence numbers start over when the server restarts. The epoch, new on
+// every start, tells a client whether its last seq still means anything.
+function createEventLog({ size = DEFAULT_SIZE } = {}) {
+  const epoch = uuidv4();
+  const events = []; // { seq, board_id, message }, oldest first
+  const listeners = new Set();
+  let seq = 0;
+
+  return {
+    epoch,
+
+    // Seq of the latest event (0 before the first)
+    get seq() {
+      return seq;
+    },
+
+    // Record an event for a board (or for every board, without one); returns
+    // the message with its seq
+    append(boardId, message) {
+      seq += 1;
+      const event = { seq, board_id: boardId || null, message: { ...message, seq } };
+      events.push(event);
+      if (events.length > size) events.shift();
+      listeners.forEach(listener => listener(event.message, event.board_id));
+      return event.message;
+    },
+
+    // Call listener(message, boardId) for every new event; returns a function
+    // that stops it
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Messages of a board (and board-less ones) after seq `after`, oldest
+    // first, or null when some of them are no longer kept
+    since(after, boardId) {
+      if (!Number.isInteger(after) || after < 0 || after > seq) return null;
+
+      const oldest = events.length > 0 ? events[0].seq : seq + 1;
+      if (after < oldest - 1) return null;
+
+      return events
+        .filter(event => event.seq > after && (!event.board_id || event.board_id === boardId))
+        .map(event => event.message);
+    }
+  };
+}
+
+module.exports = { createEventLog };
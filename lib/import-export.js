@@ -0,0 +1,526 @@
+// Board export and import in three formats:
+//
+//   csv      - One row per task with a header row; lists are comma-separated
+//   markdown - A "## Column" heading per column and a "- [ ]" line per task,
+//              with !priority, @assignee, #tags and due:/start: inline
+//   json     - This board's own export; imports also take a plain task array,
+//              a Trello board export or a GitHub issues list
+//
+// Imports are parsed into task input the server validates like POST /tasks.
+// External statuses and priorities are mapped onto the board's columns and
+// our priority levels; rows that can't be mapped are reported, not guessed.
+
+const FORMATS = ['csv', 'markdown', 'json'];
+
+const CSV_FIELDS = [
+  'id', 'title', 'description', 'status', 'priority', 'assignee', 'tags',
+  'start_at', 'due_at', 'blocked_by', 'checklist', 'created_at', 'updated_at'
+];
+
+// Header names other tools use for our fields
+const CSV_ALIASES = {
+  name: 'title',
+  summary: 'title',
+  desc: 'description',
+  body: 'description',
+  notes: 'description',
+  state: 'status',
+  list: 'status',
+  column: 'status',
+  owner: 'assignee',
+  assignedto: 'assignee',
+  labels: 'tags',
+  due: 'due_at',
+  duedate: 'due_at',
+  start: 'start_at',
+  startdate: 'start_at',
+  blockedby: 'blocked_by',
+  dependson: 'blocked_by'
+};
+
+// External names for the default columns; "done" stands for the last column
+const STATUS_SYNONYMS = {
+  backlog: ['backlog', 'icebox', 'someday', 'later', 'ideas'],
+  todo: ['todo', 'open', 'new', 'next', 'ready', 'planned', 'notstarted'],
+  in_progress: ['inprogress', 'doing', 'wip', 'started', 'active', 'working', 'ongoing'],
+  review: ['review', 'inreview', 'qa', 'testing', 'verify', 'pendingreview'],
+  done: ['done', 'closed', 'complete', 'completed', 'finished', 'resolved', 'shipped']
+};
+
+const PRIORITY_SYNONYMS = {
+  critical: ['critical', 'urgent', 'blocker', 'highest', 'p0', 'emergency'],
+  high: ['high', 'important', 'major', 'p1'],
+  medium: ['medium', 'normal', 'moderate', 'p2'],
+  low: ['low', 'minor', 'trivial', 'lowest', 'p3', 'p4']
+};
+
+// Labels like "priority: high", "prio-p1" or "P1" set the priority instead of a tag
+const PRIORITY_LABEL = /^(?:priority|prio)\s*[:/-]?\s*/i;
+const PRIORITY_LEVEL = /^p[0-4]$/i;
+
+class ImportError extends Error {}
+
+function key(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Column ID for an external status, or null when it matches nothing.
+// Empty statuses fall back to the last column for finished items, else to
+// the default column.
+function mapStatus(value, columns, finished = false) {
+  const last = columns[columns.length - 1].id;
+  if (value === undefined || value === null || String(value).trim() === '') {
+    if (finished) return last;
+    return columns.some(c => c.id === 'backlog') ? 'backlog' : columns[0].id;
+  }
+
+  const wanted = key(value);
+  const column = columns.find(c => key(c.id) === wanted || key(c.label) === wanted);
+  if (column) return column.id;
+
+  const match = Object.keys(STATUS_SYNONYMS).find(id => STATUS_SYNONYMS[id].includes(wanted));
+  if (match === 'done') return last;
+  if (match && columns.some(c => c.id === match)) return match;
+  return null;
+}
+
+function mapPriority(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return 'medium';
+  const wanted = key(String(value).replace(PRIORITY_LABEL, ''));
+  return Object.keys(PRIORITY_SYNONYMS).find(p => PRIORITY_SYNONYMS[p].includes(wanted)) || null;
+}
+
+// Split labels into a priority (from the first priority-like label) and tags
+function splitLabels(labels) {
+  let priority;
+  const tags = [];
+  labels.filter(Boolean).forEach(label => {
+    const mapped = mapPriority(label);
+    if (priority === undefined && mapped && (PRIORITY_LABEL.test(label) || PRIORITY_LEVEL.test(String(label).trim()) || mapped === key(label))) {
+      priority = mapped;
+    } else {
+      tags.push(String(label).trim());
+    }
+  });
+  return { priority, tags };
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+  if (value === undefined || value === null) return [];
+  return String(value).split(/[,;]/).map(s => s.trim()).filter(Boolean);
+}
+
+// Checklist items as { text, done }; strings may start with "[x] "
+function parseChecklist(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(';');
+  return items
+    .map(item => {
+      if (item && typeof item === 'object') {
+        return { text: String(item.text || item.name || '').trim(), done: Boolean(item.done || item.state === 'complete') };
+      }
+      const match = String(item).trim().match(/^\[( |x|X)\]\s*(.*)$/);
+      return match ? { text: match[2].trim(), done: match[1] !== ' ' } : { text: String(item).trim(), done: false };
+    })
+    .filter(item => item.text);
+}
+
+// Turn loosely named external fields into task input, or throw a row error
+function toTaskInput(fields, columns) {
+  const title = fields.title === undefined || fields.title === null ? '' : String(fields.title).trim();
+  if (!title) throw new ImportError('Title is required');
+
+  const status = mapStatus(fields.status, columns, fields.finished);
+  if (!status) {
+    throw new ImportError(`Unknown status "${fields.status}"; expected one of: ${columns.map(c => c.id).join(', ')}`);
+  }
+
+  // Without a priority of its own, a priority-like label supplies it
+  const hasPriority = fields.priority !== undefined && fields.priority !== null && String(fields.priority).trim() !== '';
+  const labels = hasPriority ? { tags: splitList(fields.tags) } : splitLabels(splitList(fields.tags));
+  const priority = hasPriority ? mapPriority(fields.priority) : labels.priority || 'medium';
+  if (!priority) {
+    throw new ImportError(`Unknown priority "${fields.priority}"`);
+  }
+
+  const input = {
+    title,
+    description: fields.description ? String(fields.description).trim() : '',
+    status,
+    priority,
+    tags: labels.tags,
+    assignee: fields.assignee ? String(fields.assignee).trim() : '',
+    start_at: fields.start_at || null,
+    due_at: fields.due_at || null
+  };
+
+  return {
+    id: fields.id ? String(fields.id) : null,
+    task: input,
+    blocked_by: splitList(fields.blocked_by),
+    checklist: parseChecklist(fields.checklist),
+    comments: Array.isArray(fields.comments) ? fields.comments : []
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+// Spreadsheets run a cell that starts with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// A leading ' makes spreadsheets show the cell as text; importCsv strips it again
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 records with their starting line numbers
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new ImportError(`Unterminated quoted field starting on line ${recordLine}`);
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  // Blank lines aren't rows
+  return records.filter(r => r.cells.some(c => c.trim() !== ''));
+}
+
+function exportCsv(tasks) {
+  const rows = tasks.map(task => CSV_FIELDS.map(field => {
+    if (field === 'tags' || field === 'blocked_by') return (task[field] || []).join(',');
+    if (field === 'checklist') {
+      return (task.checklist || []).map(item => `[${item.done ? 'x' : ' '}] ${item.text}`).join('; ');
+    }
+    return task[field];
+  }));
+  return [CSV_FIELDS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function unescapeFormula(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+function importCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new ImportError('CSV is empty');
+
+  const fields = header.cells.map(name => {
+    const normalized = key(name);
+    const direct = CSV_FIELDS.find(field => key(field) === normalized);
+    return direct || CSV_ALIASES[normalized] || null;
+  });
+  if (!fields.includes('title')) throw new ImportError('CSV needs a "title" column');
+
+  return records.map(({ line, cells }) => {
+    const row = {};
+    fields.forEach((field, i) => {
+      if (field && cells[i] !== undefined) row[field] = unescapeFormula(cells[i]);
+    });
+    return { row: line, fields: row };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+const TASK_LINE = /^[-*]\s+\[( |x|X)\]\s+(.*)$/;
+const SUB_ITEM = /^\s+[-*]\s+\[( |x|X)\]\s+(.*)$/;
+const META_COMMENT = /\s*<!--\s*(.*?)\s*-->\s*$/;
+
+// Inline markers after the title: !high @OpenClaw #tag due:2026-03-01
+function parseTaskLine(text) {
+  const fields = { tags: [] };
+  const meta = text.match(META_COMMENT);
+  if (meta) {
+    text = text.slice(0, meta.index);
+    meta[1].split(/\s+/).forEach(pair => {
+      const [name, value] = pair.split(/:(.*)/);
+      if (name === 'id') fields.id = value;
+      if (name === 'blocked_by') fields.blocked_by = value;
+    });
+  }
+
+  const title = [];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    if (/^![\w-]+$/.test(word) && mapPriority(word.slice(1))) {
+      fields.priority = word.slice(1);
+    } else if (/^@\S+$/.test(word)) {
+      fields.assignee = word.slice(1);
+    } else if (/^#[A-Za-z][\w/-]*$/.test(word)) {
+      fields.tags.push(word.slice(1));
+    } else if (/^(due|start):\S+$/.test(word)) {
+      const [name, value] = word.split(/:(.*)/);
+      fields[`${name}_at`] = value;
+    } else {
+      title.push(word);
+    }
+  });
+  fields.title = title.join(' ');
+  return fields;
+}
+
+function exportMarkdown(tasks, board) {
+  const columns = [...board.columns].sort((a, b) => a.order - b.order);
+  const last = columns[columns.length - 1].id;
+  const lines = [`# ${board.name}`, ''];
+
+  columns.forEach(column => {
+    lines.push(`## ${column.label}`, '');
+    const columnTasks = tasks.filter(task => task.status === column.id);
+    if (columnTasks.length === 0) lines.push('_No tasks_', '');
+
+    columnTasks.forEach(task => {
+      const markers = [
+        task.priority !== 'medium' ? `!${task.priority}` : null,
+        task.assignee ? `@${task.assignee.replace(/\s+/g, '_')}` : null,
+        ...(task.tags || []).map(tag => `#${tag.replace(/\s+/g, '-')}`),
+        task.start_at ? `start:${task.start_at}` : null,
+        task.due_at ? `due:${task.due_at}` : null
+      ].filter(Boolean);
+      const meta = [`id:${task.id}`];
+      if ((task.blocked_by || []).length > 0) meta.push(`blocked_by:${task.blocked_by.join(',')}`);
+
+      lines.push(`- [${task.status === last ? 'x' : ' '}] ${[task.title, ...markers].join(' ')} <!-- ${meta.join(' ')} -->`);
+      (task.description || '').split('\n').filter(line => line.trim()).forEach(line => lines.push(`  ${line}`));
+      (task.checklist || []).forEach(item => lines.push(`  - [${item.done ? 'x' : ' '}] ${item.text}`));
+    });
+    if (columnTasks.length > 0) lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+function importMarkdown(text) {
+  const rows = [];
+  let status;
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const heading = line.match(/^#{2,6}\s+(.*)$/);
+    if (heading) {
+      // Headings name the column of the tasks below them; emoji icons are ignored
+      current = null;
+      status = heading[1].replace(/[^\p{L}\p{N}\s_-]/gu, '').trim();
+      return;
+    }
+
+    const task = line.match(TASK_LINE);
+    if (task) {
+      const fields = parseTaskLine(task[2]);
+      const finished = task[1] !== ' ';
+      fields.finished = finished;
+      fields.checklist = [];
+      fields.description = '';
+      // Outside a column heading, ticked items go to the last column
+      if (status !== undefined) fields.status = status;
+      current = { row: i + 1, fields };
+      rows.push(current);
+      return;
+    }
+
+    if (!current || !/^\s+\S/.test(line)) {
+      if (line.trim() === '') return;
+      current = null;
+      return;
+    }
+
+    const item = line.match(SUB_ITEM);
+    if (item) {
+      current.fields.checklist.push({ text: item[2].trim(), done: item[1] !== ' ' });
+    } else {
+      current.fields.description += (current.fields.description ? '\n' : '') + line.trim();
+    }
+  });
+
+  if (rows.length === 0) throw new ImportError('No "- [ ] task" lines found');
+  return rows;
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+function exportJson(tasks, board) {
+  return JSON.stringify({
+    format: 'openclaw-kanban',
+    version: 1,
+    exported_at: new Date().toISOString(),
+    board: { id: board.id, name: board.name, columns: board.columns },
+    tasks
+  }, null, 2);
+}
+
+function fromTrello(data) {
+  const lists = new Map((data.lists || []).map(list => [list.id, list.name]));
+  const members = new Map((data.members || []).map(m => [m.id, m.username || m.fullName]));
+  const checklists = data.checklists || [];
+
+  return (data.cards || []).map((card, i) => {
+    if (card.closed) return { row: i + 1, skip: `"${card.name}" is archived in Trello` };
+
+    const items = checklists
+      .filter(list => list.idCard === card.id)
+      .flatMap(list => list.checkItems || []);
+    return {
+      row: i + 1,
+      fields: {
+        title: card.name,
+        description: card.desc,
+        status: lists.get(card.idList),
+        tags: (card.labels || []).map(label => label.name || label.color),
+        assignee: (card.idMembers || []).map(id => members.get(id)).find(Boolean),
+        start_at: card.start,
+        due_at: card.due,
+        checklist: items
+      }
+    };
+  });
+}
+
+function fromGitHub(issues, columns) {
+  return issues.map((issue, i) => {
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+    // A label naming a column (e.g. "in progress") places open issues there
+    const statusLabel = labels.find(label => mapStatus(label, columns) && key(label) !== 'done');
+    const closed = String(issue.state).toLowerCase() === 'closed'; // `gh --json` says CLOSED
+    const assignee = issue.assignee || (issue.assignees || [])[0];
+
+    return {
+      row: i + 1,
+      fields: {
+        title: issue.title,
+        description: issue.body,
+        status: closed ? 'done' : statusLabel,
+        tags: labels.filter(label => label !== statusLabel),
+        assignee: assignee ? assignee.login : undefined,
+        due_at: issue.milestone ? issue.milestone.due_on : undefined
+      }
+    };
+  });
+}
+
+function importJson(data, columns) {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new ImportError(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  if (parsed && Array.isArray(parsed.cards) && Array.isArray(parsed.lists)) {
+    return fromTrello(parsed);
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.tasks) ? parsed.tasks : null;
+  if (!items) {
+    throw new ImportError('Expected a task array, a board export, a Trello board export or GitHub issues');
+  }
+
+  if (items.some(item => item && (item.html_url || item.number !== undefined) && item.state !== undefined)) {
+    return fromGitHub(items, columns);
+  }
+
+  return items.map((item, i) => {
+    if (!item || typeof item !== 'object') return { row: i + 1, error: 'Not an object' };
+    return { row: i + 1, fields: { ...item, assignee: item.assignee || item.owner, tags: item.tags || item.labels } };
+  });
+}
+
+// ---------------------------------------------------------------------------
+
+// Serialize tasks (already in board order) for download
+function exportTasks(format, tasks, board) {
+  switch (format) {
+    case 'csv':
+      return { contentType: 'text/csv; charset=utf-8', extension: 'csv', body: exportCsv(tasks) };
+    case 'markdown':
+      return { contentType: 'text/markdown; charset=utf-8', extension: 'md', body: exportMarkdown(tasks, board) };
+    case 'json':
+      return { contentType: 'application/json; charset=utf-8', extension: 'json', body: exportJson(tasks, board) };
+    default:
+      throw new ImportError(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+// Parse an import into rows of task input. Problems with the whole document
+// throw ImportError; problems with one row land in `errors` (or `skipped`
+// for rows that are deliberately left out) and the other rows still import.
+//
+// Returns { rows: [{ row, id, task, blocked_by, checklist, comments }], errors: [{ row, error }], skipped: [{ row, reason }] }
+function parseImport(format, data, columns) {
+  if (!FORMATS.includes(format)) {
+    throw new ImportError(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (format !== 'json' && typeof data !== 'string') {
+    throw new ImportError(`data must be the ${format} text`);
+  }
+
+  const entries = format === 'csv' ? importCsv(data)
+    : format === 'markdown' ? importMarkdown(data)
+      : importJson(data, columns);
+
+  const result = { rows: [], errors: [], skipped: [] };
+  entries.forEach(entry => {
+    if (entry.skip) {
+      result.skipped.push({ row: entry.row, reason: entry.skip });
+      return;
+    }
+    if (entry.error) {
+      result.errors.push({ row: entry.row, error: entry.error });
+      return;
+    }
+    try {
+      result.rows.push({ row: entry.row, ...toTaskInput(entry.fields, columns) });
+    } catch (error) {
+      if (!(error instanceof ImportError)) throw error;
+      result.errors.push({ row: entry.row, error: error.message });
+    }
+  });
+  return result;
+}
+
+module.exports = { FORMATS, ImportError, exportTasks, parseImport, mapStatus, mapPriority };
@@ -0,0 +1,136 @@
+// Activity an agent reports is dropped after this long unless reported again
+const DEFAULT_ACTIVITY_TTL_MS = 2 * 60 * 1000;
+
+// What a WebSocket client says it is in its hello
+const CLIENT_KINDS = ['agent', 'browser'];
+
+function publicActivity({ task_id, text, since, expires_at }) {
+  return { task_id, text, since, expires_at };
+}
+
+// Who is on each board right now. Connections are WebSocket clients that
+// said hello; activities are what an agent reports working on, one per agent
+// and board. Activity reported over a connection lasts until the connection
+// closes (the server's heartbeat drops dead ones); activity reported over HTTP
+// expires unless reported again, and an agent that only uses HTTP counts as
+// online while it is fresh. None of it is persisted: after a restart, clients
+// reconnect and agents report again.
+//
+//   onChange(boardId) - Called after the list of a board changes
+function createPresence({ onChange, activityTtlMs = DEFAULT_ACTIVITY_TTL_MS }) {
+  const connections = new Map(); // connection id -> { name, kind, board_id, connected_at }
+  const activities = new Map(); // "board\nname" -> { board_id, name, task_id, text, since, expires_at, connection }
+
+  const activityKey = (boardId, name) => `${boardId}\n${name}`;
+
+  function changed(...boardIds) {
+    new Set(boardIds.filter(Boolean)).forEach(boardId => onChange(boardId));
+  }
+
+  function dropActivities(match) {
+    const boardIds = [];
+    activities.forEach((activity, key) => {
+      if (!match(activity)) return;
+      activities.delete(key);
+      boardIds.push(activity.board_id);
+    });
+    return boardIds;
+  }
+
+  return {
+    // Register or update a connection (on hello, and when it switches boards)
+    connect(id, { name, kind, boardId }) {
+      const previous = connections.get(id);
+      connections.set(id, {
+        name,
+        kind,
+        board_id: boardId,
+        connected_at: previous ? previous.connected_at : new Date().toISOString()
+      });
+      changed(previous && previous.board_id, boardId);
+    },
+
+    // A connection closed; what it reported goes with it
+    disconnect(id) {
+      const connection = connections.get(id);
+      if (!connection) return;
+
+      connections.delete(id);
+      changed(connection.board_id, ...dropActivities(activity => activity.connection === id));
+    },
+
+    // `name` is working on a task; replaces what it reported before on the board.
+    // With a connection it has no expiry and ends with the connection.
+    setActivity(boardId, name, { taskId, text, connection = null }) {
+      const now = Date.now();
+      const key = activityKey(boardId, name);
+      const previous = activities.get(key);
+      const activity = {
+        board_id: boardId,
+        name,
+        task_id: taskId,
+        text,
+        since: previous && previous.task_id === taskId ? previous.since : new Date(now).toISOString(),
+        expires_at: connection ? null : new Date(now + activityTtlMs).toISOString(),
+        connection
+      };
+      activities.set(key, activity);
+      changed(boardId);
+      return publicActivity(activity);
+    },
+
+    // `name` stopped working (on `taskId` only, when given); true if it was
+    clearActivity(boardId, name, taskId = null) {
+      const key = activityKey(boardId, name);
+      const activity = activities.get(key);
+      if (!activity || (taskId && activity.task_id !== taskId)) return false;
+
+      activities.delete(key);
+      changed(boardId);
+      return true;
+    },
+
+    // Nobody works on a task once it is finished or gone
+    clearTask(taskId) {
+      changed(...dropActivities(activity => activity.task_id === taskId));
+    },
+
+    // Drop activities that weren't reported again in time
+    sweep() {
+      const now = new Date().toISOString();
+      changed(...dropActivities(activity => activity.expires_at !== null && activity.expires_at <= now));
+    },
+
+    // Everyone on a board, one entry per name and kind, agents first
+    list(boardId) {
+      const entries = new Map();
+      const entry = (name, kind) => {
+        const key = `${kind}\n${name}`;
+        if (!entries.has(key)) {
+          entries.set(key, { name, kind, connections: 0, connected_at: null, activity: null });
+        }
+        return entries.get(key);
+      };
+
+      connections.forEach(connection => {
+        if (connection.board_id !== boardId) return;
+        const item = entry(connection.name, connection.kind);
+        item.connections += 1;
+        if (!item.connected_at || connection.connected_at < item.connected_at) {
+          item.connected_at = connection.connected_at;
+        }
+      });
+
+      activities.forEach(activity => {
+        if (activity.board_id !== boardId) return;
+        entry(activity.name, 'agent').activity = publicActivity(activity);
+      });
+
+      return [...entries.values()].sort((a, b) =>
+        CLIENT_KINDS.indexOf(a.kind) - CLIENT_KINDS.indexOf(b.kind) || a.name.localeCompare(b.name)
+      );
+    }
+  };
+}
+
+module.exports = { createPresence, CLIENT_KINDS };
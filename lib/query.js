@@ -0,0 +1,391 @@
+// Task query language shared by GET /api/tasks?q= and the board's search box.
+//
+//   tag:finance AND priority>=high AND updated:<7d
+//   (status:todo OR status:review) -assignee:none "backup job"
+//
+// Terms are `field<op>value` (ops: : = != > >= < <=, optionally after the
+// colon as in `updated:<7d`) or bare words matched against title,
+// description and tags. Terms next to each other are ANDed; AND, OR, NOT
+// (upper case) and parentheses combine them, and a leading - negates a term.
+// Comma-separated values (`status:todo,review`) match any of them.
+//
+// Loaded with require() on the server and as a plain <script> in the browser,
+// where it defines window.KanbanQuery.
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KanbanQuery = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const PRIORITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+  const FIELDS = {
+    title: { type: 'text' },
+    description: { type: 'text' },
+    status: { type: 'status' },
+    priority: { type: 'priority' },
+    assignee: { type: 'keyword' },
+    tag: { type: 'tags' },
+    tags: { type: 'tags' },
+    created: { type: 'date', key: 'created_at' },
+    updated: { type: 'date', key: 'updated_at' },
+    start: { type: 'date', key: 'start_at' },
+    due: { type: 'date', key: 'due_at' },
+    version: { type: 'number' },
+    order: { type: 'number' },
+    id: { type: 'id' },
+    is: { type: 'flag' },
+    has: { type: 'presence' }
+  };
+
+  const SORT_FIELDS = ['title', 'status', 'priority', 'assignee', 'created', 'updated', 'start', 'due', 'version', 'order'];
+
+  // is:<flag>; the ones needing board knowledge come from the context
+  const FLAGS = {
+    open: (task, ctx) => !ctx.isFinished(task),
+    done: (task, ctx) => ctx.isFinished(task),
+    blocked: (task, ctx) => ctx.isBlocked(task),
+    overdue: (task, ctx) => Boolean(task.due_at) && Date.parse(task.due_at) < ctx.now && !ctx.isFinished(task),
+    unassigned: task => !task.assignee,
+    recurring: task => Boolean(task.recurring_id)
+  };
+
+  // has:<field>
+  const PRESENCE = {
+    description: task => Boolean(task.description),
+    assignee: task => Boolean(task.assignee),
+    tags: task => (task.tags || []).length > 0,
+    due: task => Boolean(task.due_at),
+    start: task => Boolean(task.start_at),
+    checklist: task => (task.checklist || []).length > 0,
+    comments: task => (task.comments || []).length > 0,
+    blockers: task => (task.blocked_by || []).length > 0
+  };
+
+  const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+  const TERM_PATTERN = /^([a-zA-Z_]+)(:>=|:<=|:!=|:>|:<|:=|:|>=|<=|!=|>|<|=)(.*)$/;
+
+  class QueryError extends Error {}
+
+  // Split a query into words, quoted phrases and parentheses. A quoted part
+  // may also appear inside a word, as in title:"backup job".
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char, position: i });
+        i++;
+        continue;
+      }
+
+      const start = i;
+      let word = '';
+      let quoted = false;
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          if (end === -1) throw new QueryError(`Unterminated quote at position ${i + 1}`);
+          word += text.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          word += text[i];
+          i++;
+        }
+      }
+
+      const operator = !quoted && ['AND', 'OR', 'NOT'].includes(word) ? word : null;
+      tokens.push(operator
+        ? { type: operator, position: start }
+        : { type: 'word', value: word, raw: text.slice(start, i), quoted, position: start });
+    }
+
+    return tokens;
+  }
+
+  function parseDuration(value) {
+    const match = /^(\d+)([mhdw])$/.exec(value);
+    return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+  }
+
+  function compare(actual, op, expected) {
+    switch (op) {
+      case '>': return actual > expected;
+      case '>=': return actual >= expected;
+      case '<': return actual < expected;
+      case '<=': return actual <= expected;
+      case '!=': return actual !== expected;
+      default: return actual === expected;
+    }
+  }
+
+  const ORDERING_OPS = ['>', '>=', '<', '<='];
+
+  // Turn `updated:<7d`, `due:<+3d`, `created:2026-03-01` or `due:none` into a predicate
+  function dateTerm(field, key, op, text, ctx) {
+    const value = text.toLowerCase();
+    if (value === 'none') {
+      if (op !== '=' && op !== '!=') throw new QueryError(`${field}:none can't be compared with ${op}`);
+      return task => (op === '=') === !task[key];
+    }
+
+    const time = task => (task[key] ? Date.parse(task[key]) : null);
+
+    // Bare durations are ages: updated:<7d means "less than 7 days ago"
+    const age = parseDuration(value);
+    if (age !== null) {
+      const since = ctx.now - age;
+      const flipped = { '>': '<', '>=': '<=', '<': '>', '<=': '>=', '=': '>=', '!=': '<' }[op];
+      return task => time(task) !== null && compare(time(task), flipped, since);
+    }
+
+    // +3d / -3d are points in time relative to now
+    const offset = /^([+-])(\d+[mhdw])$/.exec(value);
+    if (offset) {
+      const point = ctx.now + (offset[1] === '+' ? 1 : -1) * parseDuration(offset[2]);
+      if (!ORDERING_OPS.includes(op)) throw new QueryError(`${field}:${value} needs <, <=, > or >=`);
+      return task => time(task) !== null && compare(time(task), op, point);
+    }
+
+    const parsed = Date.parse(text);
+    if (isNaN(parsed)) {
+      throw new QueryError(`Invalid date "${value}" for ${field} (use e.g. 2026-03-01, 7d or +3d)`);
+    }
+
+    // A plain day matches anything on that (UTC) day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && (op === '=' || op === '!=')) {
+      const end = parsed + DURATION_UNITS.d;
+      const sameDay = task => time(task) !== null && time(task) >= parsed && time(task) < end;
+      return op === '=' ? sameDay : task => !sameDay(task);
+    }
+
+    return task => time(task) !== null && compare(time(task), op, parsed);
+  }
+
+  // Build the predicate for one field term
+  function fieldTerm(field, op, value, ctx) {
+    const spec = FIELDS[field];
+    if (!spec) {
+      throw new QueryError(`Unknown field "${field}". Fields: ${Object.keys(FIELDS).join(', ')}`);
+    }
+    if (value === '') throw new QueryError(`Missing value for ${field}`);
+
+    const lower = value.toLowerCase();
+    const values = lower.split(',').filter(Boolean);
+    const ordered = ORDERING_OPS.includes(op);
+    const negate = op === '!=';
+    const noOrdering = () => {
+      if (ordered) throw new QueryError(`${field} can't be compared with ${op}`);
+    };
+
+    switch (spec.type) {
+      case 'text': {
+        noOrdering();
+        return task => ((task[field] || '').toLowerCase().includes(lower)) !== negate;
+      }
+
+      case 'keyword': {
+        noOrdering();
+        const wanted = values.map(v => (v === 'me' ? (ctx.actor || '').toLowerCase() : v === 'none' ? '' : v));
+        return task => wanted.includes((task[field] || '').toLowerCase()) !== negate;
+      }
+
+      case 'id': {
+        noOrdering();
+        return task => values.some(v => task.id.toLowerCase().startsWith(v)) !== negate;
+      }
+
+      case 'tags': {
+        noOrdering();
+        return task => (task.tags || []).some(tag => values.includes(tag.toLowerCase())) !== negate;
+      }
+
+      case 'priority': {
+        const unknown = values.find(v => PRIORITY_RANK[v] === undefined);
+        if (unknown) throw new QueryError(`Unknown priority "${unknown}". Use: ${Object.keys(PRIORITY_RANK).join(', ')}`);
+        if (ordered) {
+          if (values.length > 1) throw new QueryError(`${field}${op} takes a single value`);
+          return task => compare(PRIORITY_RANK[task.priority], op, PRIORITY_RANK[values[0]]);
+        }
+        return task => values.includes(task.priority) !== negate;
+      }
+
+      case 'status': {
+        if (ordered) {
+          const rank = ctx.statusRank(values[0]);
+          if (values.length > 1 || rank === undefined) throw new QueryError(`Unknown column "${value}"`);
+          return task => ctx.statusRank(task.status) !== undefined && compare(ctx.statusRank(task.status), op, rank);
+        }
+        return task => values.includes((task.status || '').toLowerCase()) !== negate;
+      }
+
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number)) throw new QueryError(`${field} needs a number`);
+        return task => compare(task[field], op === ':' ? '=' : op, number);
+      }
+
+      case 'date':
+        return dateTerm(field, spec.key, op === ':' ? '=' : op, value, ctx);
+
+      case 'flag':
+      case 'presence': {
+        const table = spec.type === 'flag' ? FLAGS : PRESENCE;
+        const check = table[lower];
+        if (!check || ordered) throw new QueryError(`Use ${field}:<${Object.keys(table).join('|')}>`);
+        return task => Boolean(check(task, ctx)) !== negate;
+      }
+    }
+    return null;
+  }
+
+  // Bare words and phrases search title, description and tags
+  function textTerm(value) {
+    const lower = value.toLowerCase();
+    return task =>
+      task.title.toLowerCase().includes(lower) ||
+      (task.description || '').toLowerCase().includes(lower) ||
+      (task.tags || []).some(tag => tag.toLowerCase().includes(lower));
+  }
+
+  // A leading quote makes the whole word a phrase, even if it contains a colon
+  function termFromWord(token, ctx) {
+    const negated = token.raw.length > 1 && token.raw.startsWith('-');
+    const value = negated ? token.value.slice(1) : token.value;
+    const raw = negated ? token.raw.slice(1) : token.raw;
+
+    const match = !raw.startsWith('"') && TERM_PATTERN.exec(value);
+    const predicate = match
+      ? fieldTerm(match[1].toLowerCase(), match[2] === ':' ? ':' : match[2].replace(/^:/, ''), match[3], ctx)
+      : textTerm(value);
+    return negated ? task => !predicate(task) : predicate;
+  }
+
+  // Parse a query into a predicate: task => boolean. Throws QueryError with a
+  // readable message on bad syntax, unknown fields or bad values.
+  //
+  // ctx: { now, actor, statusRank(status), isFinished(task), isBlocked(task) }
+  function parseQuery(text, ctx) {
+    const context = { now: Date.now(), actor: '', ...ctx };
+    const tokens = tokenize(String(text || ''));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = token => (token ? `"${token.raw || token.type}" at position ${token.position + 1}` : 'end of query');
+
+    function parseOr() {
+      const parts = [parseAnd()];
+      while (peek() && peek().type === 'OR') {
+        index++;
+        parts.push(parseAnd());
+      }
+      return parts.length === 1 ? parts[0] : task => parts.some(part => part(task));
+    }
+
+    function parseAnd() {
+      const parts = [parseUnary()];
+      while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') index++;
+        parts.push(parseUnary());
+      }
+      return parts.length === 1 ? parts[0] : task => parts.every(part => part(task));
+    }
+
+    function parseUnary() {
+      if (peek() && peek().type === 'NOT') {
+        index++;
+        const inner = parseUnary();
+        return task => !inner(task);
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const token = peek();
+      if (!token) throw new QueryError('Query ends too early');
+      index++;
+
+      if (token.type === '(') {
+        const inner = parseOr();
+        if (!peek() || peek().type !== ')') throw new QueryError(`Expected ) but found ${describe(peek())}`);
+        index++;
+        return inner;
+      }
+      if (token.type === 'word') return termFromWord(token, context);
+
+      throw new QueryError(`Unexpected ${describe(token)}`);
+    }
+
+    if (tokens.length === 0) return () => true;
+
+    const predicate = parseOr();
+    if (index < tokens.length) throw new QueryError(`Unexpected ${describe(peek())}`);
+    return predicate;
+  }
+
+  // Parse "priority,-updated" into a sorter. Tasks compare by each field in
+  // turn (a leading - sorts descending; empty values always go last), then by
+  // ID so every task has a stable, unique position for cursors.
+  function parseSort(text, ctx) {
+    const fields = String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const descending = part.startsWith('-');
+      const field = descending ? part.slice(1) : part;
+      if (!SORT_FIELDS.includes(field)) {
+        throw new QueryError(`Cannot sort by "${field}". Sort fields: ${SORT_FIELDS.join(', ')}`);
+      }
+      return { field, direction: descending ? -1 : 1 };
+    });
+
+    const value = (task, field) => {
+      switch (field) {
+        case 'priority': return PRIORITY_RANK[task.priority];
+        case 'status': return ctx.statusRank(task.status);
+        case 'title':
+        case 'assignee': return (task[field] || '').toLowerCase() || null;
+        case 'version':
+        case 'order': return task[field];
+        default: {
+          const date = task[FIELDS[field].key];
+          return date ? Date.parse(date) : null;
+        }
+      }
+    };
+
+    // The sort key of a task; also what pagination cursors carry
+    const key = task => [...fields.map(({ field }) => {
+      const v = value(task, field);
+      return v === undefined ? null : v;
+    }), task.id];
+
+    function compareKeys(a, b) {
+      for (let i = 0; i < fields.length; i++) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === null) return 1;
+        if (b[i] === null) return -1;
+        return (a[i] < b[i] ? -1 : 1) * fields[i].direction;
+      }
+      const last = fields.length;
+      return a[last] === b[last] ? 0 : (a[last] < b[last] ? -1 : 1);
+    }
+
+    return {
+      key,
+      compareKeys,
+      compare: (a, b) => compareKeys(key(a), key(b))
+    };
+  }
+
+  return { parseQuery, parseSort, QueryError, FIELDS, SORT_FIELDS };
+});
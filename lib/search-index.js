@@ -0,0 +1,215 @@
+// In-process full-text index over tasks: title, tags, description and
+// comments. Ranking is BM25 over field-weighted term counts, so a hit in the
+// title outweighs one buried in a comment. The server keeps it current by
+// feeding it every task it persists.
+
+// How much a term occurrence counts per field
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1, comments: 1 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Prefix matches of the last query word score a bit below exact matches
+const PREFIX_WEIGHT = 0.8;
+
+// Characters of context kept around the first hit in long fields
+const SNIPPET_CONTEXT = 60;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase, strip accents and fold simple plurals, so "Backups" finds "backup"
+function normalize(word) {
+  const folded = word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  if (folded.length > 4 && folded.endsWith('ies')) return folded.slice(0, -3) + 'y';
+  if (folded.length > 3 && folded.endsWith('s') && !folded.endsWith('ss')) return folded.slice(0, -1);
+  return folded;
+}
+
+// Words of a text with their positions, for indexing and highlighting
+function words(text) {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), match => ({
+    term: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-escaped text with every matched word wrapped in <mark>
+function highlight(text, terms) {
+  let html = '';
+  let last = 0;
+  words(text).forEach(({ term, start, end }) => {
+    if (!terms.has(term)) return;
+    html += escapeHtml(text.slice(last, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// A window of a long text around its first matched word, highlighted
+function snippet(text, terms) {
+  const hit = words(text).find(({ term }) => terms.has(term));
+  if (!hit) return null;
+
+  const from = Math.max(0, hit.start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, hit.end + SNIPPET_CONTEXT * 2);
+  return (from > 0 ? '…' : '') + highlight(text.slice(from, to), terms) + (to < text.length ? '…' : '');
+}
+
+function indexedFields(task) {
+  return {
+    title: task.title || '',
+    tags: (task.tags || []).join(' '),
+    description: task.description || '',
+    comments: (task.comments || []).map(comment => comment.text).join('\n')
+  };
+}
+
+function createSearchIndex() {
+  const postings = new Map(); // term -> Map(task id -> weighted term count)
+  const documents = new Map(); // task id -> { boardId, length, terms, task }
+  let totalLength = 0;
+
+  function remove(taskId) {
+    const doc = documents.get(taskId);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const list = postings.get(term);
+      list.delete(taskId);
+      if (list.size === 0) postings.delete(term);
+    });
+    totalLength -= doc.length;
+    documents.delete(taskId);
+  }
+
+  // Add a task, or re-index it after a change
+  function update(task) {
+    remove(task.id);
+
+    const counts = new Map();
+    let length = 0;
+    Object.entries(indexedFields(task)).forEach(([field, text]) => {
+      words(text).forEach(({ term }) => {
+        counts.set(term, (counts.get(term) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      });
+    });
+
+    counts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(task.id, count);
+    });
+    documents.set(task.id, { boardId: task.board_id, length, terms: [...counts.keys()], task });
+    totalLength += length;
+  }
+
+  function rebuild(tasks) {
+    postings.clear();
+    documents.clear();
+    totalLength = 0;
+    tasks.forEach(update);
+  }
+
+  // Index terms a query word stands for: itself, plus every longer term it
+  // starts when it is the word being typed (the last one)
+  function expand(word, isLast) {
+    const matches = new Map();
+    if (postings.has(word)) matches.set(word, 1);
+    if (isLast) {
+      postings.forEach((list, term) => {
+        if (term !== word && term.startsWith(word)) matches.set(term, PREFIX_WEIGHT);
+      });
+    }
+    return matches;
+  }
+
+  // Ranked hits for a free-text query. Every query word has to match.
+  //
+  //   options.boardId - Only tasks on this board
+  //   options.filter  - Extra task => boolean check
+  //   options.limit   - Maximum hits returned (total still counts all)
+  //
+  // Returns { total, hits: [{ task, score, highlights }] } where highlights
+  // maps title/tags/description/comments to HTML-escaped text with <mark>s.
+  function search(query, { boardId = null, filter = null, limit = 20 } = {}) {
+    const queryText = String(query || '');
+    const queryWords = words(queryText).map(w => w.term);
+    if (queryWords.length === 0) return { total: 0, hits: [] };
+
+    const typingLastWord = !/[\s"]$/.test(queryText);
+    const expansions = queryWords.map((word, i) => expand(word, typingLastWord && i === queryWords.length - 1));
+
+    const inScope = id => {
+      const doc = documents.get(id);
+      return (!boardId || doc.boardId === boardId) && (!filter || filter(doc.task));
+    };
+
+    // Candidates are tasks matching every word; start from the rarest one
+    const candidates = expansions.map(terms => {
+      const ids = new Set();
+      terms.forEach((weight, term) => postings.get(term).forEach((count, id) => ids.add(id)));
+      return ids;
+    });
+    const [smallest, ...rest] = [...candidates].sort((a, b) => a.size - b.size);
+    const matching = [...smallest].filter(id => rest.every(ids => ids.has(id)) && inScope(id));
+
+    const docCount = documents.size;
+    const averageLength = docCount > 0 ? totalLength / docCount : 0;
+    const matchedTerms = new Set();
+
+    const scored = matching.map(id => {
+      const doc = documents.get(id);
+      const lengthNorm = 1 - B + B * (averageLength > 0 ? doc.length / averageLength : 0);
+      let score = 0;
+
+      expansions.forEach(terms => {
+        terms.forEach((weight, term) => {
+          const count = postings.get(term).get(id);
+          if (!count) return;
+          const df = postings.get(term).size;
+          const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+          score += weight * idf * (count * (K1 + 1)) / (count + K1 * lengthNorm);
+          matchedTerms.add(term);
+        });
+      });
+
+      return { id, score };
+    });
+
+    scored.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+    const hits = scored.slice(0, limit).map(({ id, score }) => {
+      const task = documents.get(id).task;
+      const fields = indexedFields(task);
+      const highlights = { title: highlight(fields.title, matchedTerms) };
+
+      const tags = (task.tags || []).filter(tag => words(tag).some(({ term }) => matchedTerms.has(term)));
+      if (tags.length > 0) highlights.tags = tags.map(tag => highlight(tag, matchedTerms));
+
+      const description = snippet(fields.description, matchedTerms);
+      if (description) highlights.description = description;
+
+      const comment = (task.comments || []).find(c => words(c.text).some(({ term }) => matchedTerms.has(term)));
+      if (comment) highlights.comments = snippet(comment.text, matchedTerms);
+
+      return { task, score: Math.round(score * 1000) / 1000, highlights };
+    });
+
+    return { total: scored.length, hits };
+  }
+
+  return { update, remove, rebuild, search };
+}
+
+module.exports = { createSearchIndex };
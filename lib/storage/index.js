@@ -0,0 +1,38 @@
+const path = require('path');
+const { createJsonStorage } = require('./json-storage');
+const { createSqliteStorage } = require('./sqlite-storage');
+
+// Storage backends share one interface:
+//
+//   init()                  - Prepare files / schema
+//   load(collection)        - All records of a collection ('tasks', 'boards', ...)
+//   loadHistory()           - All history entries, oldest first
+//   commit(changes)         - Persist a change set atomically:
+//                             {
+//                               upsert:  { tasks: [task], boards: [board] },
+//                               remove:  { tasks: [id] },
+//                               history: [entry]
+//                             }
+//   close()                 - Release file handles
+//
+// The server keeps everything in memory and only writes through commit().
+function createStorage(options = {}) {
+  const driver = options.driver || 'json';
+  const dataDir = options.dataDir || path.join(__dirname, '..', '..', 'data');
+
+  switch (driver) {
+    case 'json':
+      return createJsonStorage({
+        dataDir,
+        backups: options.backups,
+        backupIntervalMs: options.backupIntervalMs,
+        readOnly: options.readOnly
+      });
+    case 'sqlite':
+      return createSqliteStorage({ file: options.sqliteFile || path.join(dataDir, 'kanban.db') });
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected json or sqlite)`);
+  }
+}
+
+module.exports = { createStorage };
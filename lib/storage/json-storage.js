@@ -0,0 +1,198 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// One pretty-printed JSON file per collection: data/tasks.json, data/boards.json, ...
+// History is an append-only array in data/history.json.
+//
+// Writes are crash-safe: they go through a single queue, land in a temp file
+// that is fsync'd and renamed over the original. The version a file had before
+// its first write of the process, and then at most once per backupIntervalMs,
+// is kept as a rotating backup (tasks.json.bak.1 is the newest), so a burst of
+// writes doesn't push every older backup out.
+//
+// With readOnly nothing is ever written: missing files read as empty and a
+// corrupt file is read from its backup but left as it is (for migrations).
+function createJsonStorage({ dataDir, backups = 5, backupIntervalMs = 60 * 60 * 1000, readOnly = false }) {
+  const collections = new Map(); // name -> Map(id -> record)
+  const lastBackupAt = new Map(); // file -> time of its last rotation
+  let history = [];
+  let writeQueue = Promise.resolve();
+
+  function fileFor(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  function backupFile(file, n) {
+    return `${file}.bak.${n}`;
+  }
+
+  async function exists(file) {
+    try {
+      await fs.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function parseFile(file) {
+    const value = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!Array.isArray(value)) {
+      throw new Error(`${path.basename(file)} does not contain a JSON array`);
+    }
+    return value;
+  }
+
+  // Read a collection file, falling back to the newest valid backup when it is
+  // missing or corrupt. Returns null if there is nothing to read at all.
+  async function readFile(name) {
+    const file = fileFor(name);
+    let failure = null;
+
+    try {
+      return await parseFile(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') failure = error;
+    }
+
+    for (let n = 1; n <= backups; n++) {
+      const backup = backupFile(file, n);
+      if (!(await exists(backup))) continue;
+
+      try {
+        const records = await parseFile(backup);
+        if (readOnly) {
+          console.warn(`Reading ${name} from ${path.basename(backup)}`);
+          return records;
+        }
+        if (failure) {
+          // Keep the broken file for inspection and out of the backup rotation
+          const corrupt = `${file}.corrupt-${Date.now()}`;
+          await fs.rename(file, corrupt);
+          console.warn(`${path.basename(file)} is unreadable (${failure.message}); moved to ${path.basename(corrupt)}`);
+        }
+        console.warn(`Recovered ${name} from ${path.basename(backup)}`);
+        await enqueueWrite(name, () => records);
+        return records;
+      } catch (error) {
+        console.warn(`Skipping unreadable backup ${path.basename(backup)}: ${error.message}`);
+      }
+    }
+
+    if (failure) {
+      throw new Error(`${path.basename(file)} is unreadable and no valid backup exists: ${failure.message}`);
+    }
+    return null;
+  }
+
+  // Shift file.bak.1..N-1 up by one and copy the current file to .bak.1,
+  // unless the file was already backed up within the interval
+  async function rotateBackups(file) {
+    if (backups <= 0) return;
+    if (lastBackupAt.has(file) && Date.now() - lastBackupAt.get(file) < backupIntervalMs) return;
+    if (!(await exists(file))) return;
+    lastBackupAt.set(file, Date.now());
+
+    for (let n = backups - 1; n >= 1; n--) {
+      const from = backupFile(file, n);
+      if (await exists(from)) {
+        await fs.rename(from, backupFile(file, n + 1));
+      }
+    }
+    await fs.copyFile(file, backupFile(file, 1));
+  }
+
+  async function writeFile(name, value) {
+    const file = fileFor(name);
+    const tempFile = `${file}.tmp-${process.pid}`;
+
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(value, null, 2), 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await rotateBackups(file);
+    await fs.rename(tempFile, file);
+  }
+
+  // Serialize writes; the snapshot is taken when the write runs, so queued
+  // writes of the same file always store the latest state.
+  function enqueueWrite(name, snapshot) {
+    const write = writeQueue.then(() => writeFile(name, snapshot()));
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  function getCollection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  return {
+    driver: 'json',
+
+    async init() {
+      if (readOnly) return;
+      await fs.mkdir(dataDir, { recursive: true });
+    },
+
+    async load(name) {
+      const records = await readFile(name);
+      if (records === null && !readOnly) {
+        // Create the file so operators can see where data lives
+        await enqueueWrite(name, () => []);
+      }
+
+      const collection = getCollection(name);
+      collection.clear();
+      (records || []).forEach(record => collection.set(record.id, record));
+      return [...collection.values()];
+    },
+
+    async loadHistory() {
+      history = (await readFile('history')) || [];
+      return [...history];
+    },
+
+    async commit(changes) {
+      if (readOnly) throw new Error(`${dataDir} was opened read-only`);
+      const touched = new Set();
+
+      Object.entries(changes.upsert || {}).forEach(([name, records]) => {
+        const collection = getCollection(name);
+        records.forEach(record => collection.set(record.id, record));
+        touched.add(name);
+      });
+
+      Object.entries(changes.remove || {}).forEach(([name, ids]) => {
+        const collection = getCollection(name);
+        ids.forEach(id => collection.delete(id));
+        touched.add(name);
+      });
+
+      const writes = [...touched].map(name =>
+        enqueueWrite(name, () => [...getCollection(name).values()])
+      );
+
+      if (changes.history && changes.history.length > 0) {
+        history.push(...changes.history);
+        writes.push(enqueueWrite('history', () => history));
+      }
+
+      await Promise.all(writes);
+    },
+
+    async close() {
+      await writeQueue;
+    }
+  };
+}
+
+module.exports = { createJsonStorage };
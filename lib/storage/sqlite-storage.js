@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tasks get real columns so they can be indexed; other collections are stored
+// as JSON documents. Every commit() runs in a single transaction.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tasks (
+    id TEXT PRIMARY KEY,
+    board_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    priority TEXT,
+    assignee TEXT,
+    created_at TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_tasks_board_status ON tasks (board_id, status);
+  CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks (status);
+  CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks (assignee);
+  CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks (updated_at);
+
+  CREATE TABLE IF NOT EXISTS history (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    task_id TEXT NOT NULL,
+    board_id TEXT,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_history_task ON history (task_id);
+
+  CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+}
+
+function createSqliteStorage({ file }) {
+  let db = null;
+  let statements = null;
+  let commitTransaction = null;
+
+  function prepareStatements() {
+    statements = {
+      upsertTask: db.prepare(`
+        INSERT INTO tasks (id, board_id, status, priority, assignee, created_at, updated_at, data)
+        VALUES (@id, @board_id, @status, @priority, @assignee, @created_at, @updated_at, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          board_id = excluded.board_id,
+          status = excluded.status,
+          priority = excluded.priority,
+          assignee = excluded.assignee,
+          created_at = excluded.created_at,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      deleteTask: db.prepare('DELETE FROM tasks WHERE id = ?'),
+      selectTasks: db.prepare('SELECT data FROM tasks ORDER BY rowid'),
+      upsertDocument: db.prepare(`
+        INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `),
+      deleteDocument: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+      selectDocuments: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+      insertHistory: db.prepare(`
+        INSERT OR IGNORE INTO history (id, task_id, board_id, timestamp, data)
+        VALUES (@id, @task_id, @board_id, @timestamp, @data)
+      `),
+      selectHistory: db.prepare('SELECT data FROM history ORDER BY seq')
+    };
+  }
+
+  function upsert(name, record) {
+    if (name === 'tasks') {
+      statements.upsertTask.run({
+        id: record.id,
+        board_id: record.board_id,
+        status: record.status,
+        priority: record.priority,
+        assignee: record.assignee || '',
+        created_at: record.created_at,
+        updated_at: record.updated_at,
+        data: JSON.stringify(record)
+      });
+    } else {
+      statements.upsertDocument.run(name, record.id, JSON.stringify(record));
+    }
+  }
+
+  function remove(name, id) {
+    if (name === 'tasks') {
+      statements.deleteTask.run(id);
+    } else {
+      statements.deleteDocument.run(name, id);
+    }
+  }
+
+  return {
+    driver: 'sqlite',
+
+    async init() {
+      const Database = loadDriver();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+      db.exec(SCHEMA);
+      prepareStatements();
+
+      commitTransaction = db.transaction((changes) => {
+        Object.entries(changes.upsert || {}).forEach(([name, records]) => {
+          records.forEach(record => upsert(name, record));
+        });
+        Object.entries(changes.remove || {}).forEach(([name, ids]) => {
+          ids.forEach(id => remove(name, id));
+        });
+        (changes.history || []).forEach(entry => {
+          statements.insertHistory.run({
+            id: entry.id,
+            task_id: entry.task_id,
+            board_id: entry.board_id || null,
+            timestamp: entry.timestamp,
+            data: JSON.stringify(entry)
+          });
+        });
+      });
+    },
+
+    async load(name) {
+      const rows = name === 'tasks'
+        ? statements.selectTasks.all()
+        : statements.selectDocuments.all(name);
+      return rows.map(row => JSON.parse(row.data));
+    },
+
+    async loadHistory() {
+      return statements.selectHistory.all().map(row => JSON.parse(row.data));
+    },
+
+    async commit(changes) {
+      commitTransaction(changes);
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+
+// Top-level checklist lines: "- [ ] Title" or "* [x] Title", with an optional
+// "<!-- kanban:ID -->" marker linking the line to its task
+const TODO_LINE = /^([-*]) \[( |x|X)\] (.*)$/;
+const MARKER = /\s*<!--\s*kanban:([\w-]+)\s*-->\s*$/;
+
+// Wait this long after a file or board change before syncing, so an editor's
+// save or a burst of API calls becomes one pass
+const DEFAULT_DEBOUNCE_MS = 300;
+
+// Sync anyway this often; fs.watch misses changes on some network and Docker mounts
+const DEFAULT_POLL_MS = 30 * 1000;
+
+// Conflicts kept for GET /sync/todo
+const MAX_CONFLICTS = 50;
+
+// A board change the sync may not make (workflow rules, open blockers, ...)
+class TodoSyncError extends Error {}
+
+function parseLine(line) {
+  const match = line.match(TODO_LINE);
+  if (!match) return null;
+
+  const marker = match[3].match(MARKER);
+  const title = match[3].replace(MARKER, '').trim();
+  if (!title) return null;
+
+  return { bullet: match[1], done: match[2] !== ' ', title, id: marker ? marker[1] : null };
+}
+
+function renderLine(bullet, { title, done }, id) {
+  return `${bullet} [${done ? 'x' : ' '}] ${title} <!-- kanban:${id} -->`;
+}
+
+function describe(field, value) {
+  if (field === 'done') return value ? 'done' : 'not done';
+  return `"${value}"`;
+}
+
+// Keeps a Markdown checklist and one board in step, both ways. Each line maps
+// to a task through its ID marker; lines without one become new tasks and get
+// a marker written back. Title and done state are merged against the values
+// of the last sync (kept in the 'todo_sync' collection), so a side that
+// didn't change never overwrites one that did. When both changed, the board
+// wins and the file's value is left as a note on the task.
+//
+//   file                     - Path of the Markdown file
+//   persist(change)          - Storage commit used for the 'todo_sync' collection
+//   readTask(id)             - { title, done, archived } of a task on the synced board, or null
+//   createTasks(items)       - Create tasks from [{ title, done }]; returns their IDs in order
+//   updateTask(id, changes)  - Apply { title?, done? }; throws TodoSyncError when refused
+//   addNote(id, text)        - Leave a comment on a task
+function createTodoSync({
+  file, persist, readTask, createTasks, updateTask, addNote,
+  debounceMs = DEFAULT_DEBOUNCE_MS, pollMs = DEFAULT_POLL_MS
+}) {
+  const base = new Map(); // task id -> { id, title, done, synced_at }
+  const conflicts = [];
+  let running = false;
+  let pending = false;
+  let timer = null;
+  let watcher = null;
+  let poller = null;
+  let lastSyncedAt = null;
+  let lastError = null;
+  let fileMissing = false;
+
+  function readFile() {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Replace lines by content (the nth line reading `from`) rather than by
+  // position, so lines the user added or moved while the board was being
+  // updated survive the write. Returns the text found before writing.
+  function writeFile(edits) {
+    const text = readFile();
+    if (text === null) return null;
+
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+    const original = [...lines];
+    edits.forEach(({ from, nth, to }) => {
+      const index = original.findIndex((line, i) =>
+        line === from && original.slice(0, i).filter(l => l === from).length === nth);
+      if (index !== -1) lines[index] = to;
+    });
+
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, lines.filter(line => line !== null).join(eol));
+    fs.renameSync(temp, file);
+    return text;
+  }
+
+  function recordConflict(taskId, field, fileValue, boardValue, reason) {
+    const conflict = {
+      task_id: taskId,
+      field,
+      file_value: fileValue,
+      board_value: boardValue,
+      reason,
+      at: new Date().toISOString()
+    };
+    conflicts.unshift(conflict);
+    conflicts.splice(MAX_CONFLICTS);
+    console.warn(`TODO sync conflict on ${taskId} (${field}): ${reason}`);
+    return conflict;
+  }
+
+  // Merge one linked line with its task; returns the state both sides agree on
+  async function mergeLine(item, task, known) {
+    const baseline = known || task; // First sight of a linked task: as the board has it now
+    const wanted = {};
+    const notes = [];
+
+    ['title', 'done'].forEach(field => {
+      const fileChanged = item[field] !== baseline[field];
+      const boardChanged = task[field] !== baseline[field];
+      if (!fileChanged || item[field] === task[field]) return;
+
+      if (!boardChanged) {
+        wanted[field] = item[field];
+      } else {
+        recordConflict(task.id, field, item[field], task[field], 'Changed in the file and on the board');
+        notes.push(`TODO.md sync: this task's ${field === 'done' ? 'state' : field} changed in the file ` +
+          `(${describe(field, item[field])}) and on the board (${describe(field, task[field])}); kept the board's.`);
+      }
+    });
+
+    if (Object.keys(wanted).length > 0) {
+      try {
+        if (task.archived) throw new TodoSyncError('Task is archived; restore it first');
+        await updateTask(task.id, wanted);
+      } catch (error) {
+        if (!(error instanceof TodoSyncError)) throw error;
+        Object.keys(wanted).forEach(field => {
+          recordConflict(task.id, field, wanted[field], task[field], error.message);
+        });
+        notes.push(`TODO.md sync: couldn't apply the file's change (${error.message}).`);
+      }
+    }
+
+    for (const note of notes) {
+      await addNote(task.id, note);
+    }
+
+    return readTask(task.id);
+  }
+
+  async function syncOnce() {
+    const text = readFile();
+    fileMissing = text === null;
+    if (fileMissing) return;
+
+    const edits = [];
+    const upserts = [];
+    const removed = [];
+    const fresh = [];
+    const seen = new Set();
+    const occurrences = new Map(); // line -> times seen so far, to tell copies apart
+    const now = new Date().toISOString();
+
+    for (const line of text.split(/\r?\n/)) {
+      const item = parseLine(line);
+      if (!item) continue;
+
+      const nth = occurrences.get(line) || 0;
+      occurrences.set(line, nth + 1);
+
+      // A copied line carries its original's marker; the copy is a new task
+      if (item.id && seen.has(item.id)) item.id = null;
+      if (item.id) seen.add(item.id);
+
+      const task = item.id ? readTask(item.id) : null;
+      const known = item.id ? base.get(item.id) : undefined;
+
+      if (!task && known) {
+        // Deleted on the board (or moved to another board)
+        edits.push({ from: line, nth, to: null });
+        removed.push(item.id);
+        continue;
+      }
+      if (!task) {
+        fresh.push({ line, nth, item });
+        continue;
+      }
+
+      const agreed = await mergeLine(item, { id: item.id, ...task }, known);
+      const rendered = renderLine(item.bullet, agreed, item.id);
+      if (rendered !== line) edits.push({ from: line, nth, to: rendered });
+      if (!known || known.title !== agreed.title || known.done !== agreed.done) {
+        upserts.push({ id: item.id, title: agreed.title, done: agreed.done, synced_at: now });
+      }
+    }
+
+    if (fresh.length > 0) {
+      const ids = await createTasks(fresh.map(({ item }) => ({ title: item.title, done: item.done })));
+      fresh.forEach(({ line, nth, item }, i) => {
+        edits.push({ from: line, nth, to: renderLine(item.bullet, item, ids[i]) });
+        upserts.push({ id: ids[i], title: item.title, done: item.done, synced_at: now });
+      });
+    }
+
+    // Lines deleted from the file stop being synced; their tasks stay on the board
+    base.forEach((record, id) => {
+      if (!seen.has(id) && !removed.includes(id)) removed.push(id);
+    });
+
+    if (edits.length > 0 && writeFile(edits) !== text) {
+      // The file changed while we worked; look at it again
+      pending = true;
+    }
+
+    upserts.forEach(record => base.set(record.id, record));
+    removed.forEach(id => base.delete(id));
+    if (upserts.length > 0 || removed.length > 0) {
+      await persist({ upsert: { todo_sync: upserts }, remove: { todo_sync: removed } });
+    }
+    lastSyncedAt = now;
+  }
+
+  async function sync() {
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    try {
+      do {
+        pending = false;
+        await syncOnce();
+      } while (pending);
+      lastError = null;
+    } catch (error) {
+      lastError = error.message;
+      console.error('Error syncing TODO file:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    // Restore the state of the last sync
+    load(records) {
+      base.clear();
+      records.forEach(record => base.set(record.id, record));
+    },
+
+    // Watch the file (through its directory, since editors and our own writes
+    // replace it) and run a first sync
+    start() {
+      const name = path.basename(file);
+      try {
+        watcher = fs.watch(path.dirname(file), (event, changed) => {
+          if (changed === name) this.notify();
+        });
+        watcher.on('error', error => console.error('Error watching TODO file:', error));
+        watcher.unref();
+      } catch (error) {
+        console.error(`Can't watch ${file}, polling only:`, error.message);
+      }
+      poller = setInterval(() => sync(), pollMs);
+      poller.unref();
+      return sync();
+    },
+
+    stop() {
+      if (watcher) watcher.close();
+      clearInterval(poller);
+      clearTimeout(timer);
+    },
+
+    // Something changed (the file, or tasks on the board); sync shortly
+    notify() {
+      clearTimeout(timer);
+      timer = setTimeout(() => sync(), debounceMs);
+      timer.unref();
+    },
+
+    sync,
+
+    status() {
+      return {
+        file,
+        file_missing: fileMissing,
+        tracked: base.size,
+        last_synced_at: lastSyncedAt,
+        last_error: lastError,
+        conflicts
+      };
+    }
+  };
+}
+
+module.exports = { createTodoSync, TodoSyncError };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Delay before each retry of a failed delivery; the first attempt is immediate
+const DEFAULT_RETRY_DELAYS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+
+// Give up on a single attempt after this long
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Delivery log entries kept per webhook
+const MAX_DELIVERIES_PER_WEBHOOK = 50;
+
+// HMAC-SHA256 of the raw request body, sent as X-Kanban-Signature
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Delivers events to registered webhooks and keeps the delivery log.
+//
+//   getWebhook(id)  - Current webhook record (for its URL and secret), or null
+//   persist(change) - Storage commit used for the 'webhook_deliveries' collection
+function createWebhookDispatcher({ getWebhook, persist, retryDelays = DEFAULT_RETRY_DELAYS }) {
+  let deliveries = [];
+  const timers = new Map(); // delivery id -> retry timer
+
+  async function save(delivery) {
+    try {
+      await persist({ upsert: { webhook_deliveries: [delivery] } });
+    } catch (error) {
+      console.error('Error saving webhook delivery:', error);
+    }
+  }
+
+  // Drop the oldest log entries of a webhook beyond the limit
+  async function prune(webhookId) {
+    const own = deliveries.filter(d => d.webhook_id === webhookId);
+    const excess = own.slice(0, Math.max(0, own.length - MAX_DELIVERIES_PER_WEBHOOK));
+    if (excess.length === 0) return;
+
+    deliveries = deliveries.filter(d => !excess.includes(d));
+    await persist({ remove: { webhook_deliveries: excess.map(d => d.id) } });
+  }
+
+  function schedule(delivery, delay) {
+    delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery);
+    }, delay);
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(delivery) {
+    const webhook = getWebhook(delivery.webhook_id);
+    if (!webhook || !webhook.active) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+      delivery.updated_at = new Date().toISOString();
+      delivery.attempts.push({
+        attempted_at: delivery.updated_at,
+        status_code: null,
+        error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+        duration_ms: 0
+      });
+      await save(delivery);
+      return;
+    }
+
+    const started = Date.now();
+    const record = { attempted_at: new Date(started).toISOString(), status_code: null, error: null, duration_ms: 0 };
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'OpenClaw-Kanban-Webhooks',
+          'X-Kanban-Event': delivery.event,
+          'X-Kanban-Delivery': delivery.id,
+          'X-Kanban-Signature': signPayload(webhook.secret, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      record.status_code = response.status;
+      if (!response.ok) {
+        record.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        record.error = 'Request timed out';
+      } else {
+        // fetch() hides the network error (ECONNREFUSED, ENOTFOUND, ...) in error.cause
+        record.error = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+      }
+    }
+
+    record.duration_ms = Date.now() - started;
+    delivery.attempts.push(record);
+    delivery.updated_at = new Date().toISOString();
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.next_attempt_at = null;
+    } else if (delivery.attempts.length <= retryDelays.length) {
+      schedule(delivery, retryDelays[delivery.attempts.length - 1]);
+    } else {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+    }
+
+    await save(delivery);
+  }
+
+  return {
+    // Restore the delivery log and resume deliveries interrupted by a restart
+    load(savedDeliveries) {
+      deliveries = savedDeliveries;
+      deliveries
+        .filter(d => d.status === 'pending')
+        .forEach(d => schedule(d, 0));
+    },
+
+    // Queue an event for one webhook; returns the delivery record
+    async deliver(webhook, event, data) {
+      const now = new Date().toISOString();
+      const delivery = {
+        id: uuidv4(),
+        webhook_id: webhook.id,
+        event,
+        payload: JSON.stringify({ event, ...data }),
+        status: 'pending',
+        attempts: [],
+        next_attempt_at: now,
+        created_at: now,
+        updated_at: now
+      };
+
+      deliveries.push(delivery);
+      await save(delivery);
+      await prune(webhook.id);
+
+      attempt(delivery);
+      return delivery;
+    },
+
+    // Delivery log of a webhook, newest first
+    deliveriesFor(webhookId) {
+      return deliveries.filter(d => d.webhook_id === webhookId).reverse();
+    },
+
+    // Forget a deleted webhook's pending retries and log
+    async removeWebhook(webhookId) {
+      const own = deliveries.filter(d => d.webhook_id === webhookId);
+      own.forEach(d => {
+        clearTimeout(timers.get(d.id));
+        timers.delete(d.id);
+      });
+      deliveries = deliveries.filter(d => d.webhook_id !== webhookId);
+      if (own.length > 0) {
+        await persist({ remove: { webhook_deliveries: own.map(d => d.id) } });
+      }
+    }
+  };
+}
+
+module.exports = { createWebhookDispatcher, signPayload };
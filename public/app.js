@@ -6,12 +6,23 @@
   // ============================================================================
   const state = {
     tasks: [],
+    boards: [],
+    boardId: localStorage.getItem('kanbanBoard') || 'default',
     filters: { search: '', priority: '', assignee: '' },
     editingTaskId: null,
+    editingBase: null, // Task as it was when the edit modal opened
     ws: null,
     connected: false,
     draggedTaskId: null,
-    reconnectAttempts: 0
+    reconnectAttempts: 0,
+    serverEpoch: null, // Identifies the server run that numbered the events we've seen
+    lastSeq: 0, // Last event applied, to resume from after a reconnect
+    lastMessageAt: 0,
+    heartbeatTimer: null,
+    presence: [], // Who is on the board, from the server's presence messages
+    authPrompted: false,
+    archiveView: 'archive', // Tab shown in the archive modal: 'archive' or 'trash'
+    undoStack: [] // Recent moves, edits and deletes, newest last (see UNDO)
   };
 
   // ============================================================================
@@ -22,7 +33,8 @@
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is also safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
   function timeAgo(dateString) {
@@ -49,11 +61,34 @@
     return `${years}y ago`;
   }
 
-  function isActiveNow(task) {
-    const lastUpdate = new Date(task.updated_at);
-    const now = new Date();
-    const minutesAgo = (now - lastUpdate) / 1000 / 60;
-    return minutesAgo < 2;
+  // Compact duration such as "45m", "3h" or "2d"
+  function formatDuration(ms) {
+    const minutes = Math.max(1, Math.round(Math.abs(ms) / 60000));
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+
+    return `${Math.round(hours / 24)}d`;
+  }
+
+  // ISO timestamp -> value for a datetime-local input (local time, minutes)
+  function toDateTimeLocal(isoString) {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+  }
+
+  // datetime-local value -> ISO timestamp, or null when empty
+  function fromDateTimeLocal(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  // What an agent reports doing on a task right now, with the agent's name
+  function taskActivity(task) {
+    const agent = state.presence.find(client => client.activity && client.activity.task_id === task.id);
+    return agent ? { name: agent.name, ...agent.activity } : null;
   }
 
   function debounce(func, wait) {
@@ -72,9 +107,60 @@
   // API LAYER
   // ============================================================================
 
+  // Identifies changes made from the browser in the task history
+  // (ignored by the server when API keys are enabled)
+  const ACTOR = 'User';
+
+  // WebSocket protocol this client speaks (see the hello handshake)
+  const PROTOCOL_VERSION = 2;
+  const TOKEN_STORAGE_KEY = 'kanbanToken';
+
+  function getToken() {
+    return localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+  }
+
+  function promptForToken() {
+    if (state.authPrompted) return;
+    state.authPrompted = true;
+
+    const token = prompt('This board requires an API key. Enter your key:');
+    if (token && token.trim()) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token.trim());
+      window.location.reload();
+    }
+  }
+
   const api = {
     baseUrl: '/api',
 
+    // Prefix for routes scoped to the board being viewed
+    boardPath() {
+      return `/boards/${encodeURIComponent(state.boardId)}`;
+    },
+
+    // fetch() with auth headers; throws on non-2xx responses
+    async send(path, options = {}) {
+      const headers = { 'X-Actor': ACTOR, ...options.headers };
+      const token = getToken();
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+
+      const response = await fetch(`${this.baseUrl}${path}`, { ...options, headers });
+      if (response.status === 401) promptForToken();
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.body = body;
+        throw error;
+      }
+      return response;
+    },
+
+    // If-Match header for a task version; omitted when the version is unknown
+    ifMatch(version) {
+      return version !== undefined ? { 'If-Match': `"${version}"` } : {};
+    },
+
     async getTasks(filters = {}) {
       try {
         const params = new URLSearchParams();
@@ -83,9 +169,7 @@
         if (filters.search) params.append('search', filters.search);
         if (filters.assignee) params.append('assignee', filters.assignee);
 
-        const url = `${this.baseUrl}/tasks${params.toString() ? '?' + params.toString() : ''}`;
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const response = await this.send(`${this.boardPath()}/tasks${params.toString() ? '?' + params.toString() : ''}`);
         return await response.json();
       } catch (error) {
         showToast(`Failed to fetch tasks: ${error.message}`, 'error');
@@ -95,8 +179,7 @@
 
     async getTask(id) {
       try {
-        const response = await fetch(`${this.baseUrl}/tasks/${id}`);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const response = await this.send(`${this.boardPath()}/tasks/${id}`);
         return await response.json();
       } catch (error) {
         showToast(`Failed to fetch task: ${error.message}`, 'error');
@@ -106,12 +189,11 @@
 
     async createTask(data) {
       try {
-        const response = await fetch(`${this.baseUrl}/tasks`, {
+        const response = await this.send(`${this.boardPath()}/tasks`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(data)
         });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         return await response.json();
       } catch (error) {
         showToast(`Failed to create task: ${error.message}`, 'error');
@@ -119,53 +201,191 @@
       }
     },
 
-    async updateTask(id, data) {
+    async updateTask(id, data, version) {
       try {
-        const response = await fetch(`${this.baseUrl}/tasks/${id}`, {
+        const response = await this.send(`${this.boardPath()}/tasks/${id}`, {
           method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...this.ifMatch(version) },
           body: JSON.stringify(data)
         });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         return await response.json();
       } catch (error) {
-        showToast(`Failed to update task: ${error.message}`, 'error');
+        // Version conflicts (412) are resolved by the caller
+        if (error.status !== 412) showToast(`Failed to update task: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async deleteTask(id, version) {
+      try {
+        await this.send(`${this.boardPath()}/tasks/${id}`, {
+          method: 'DELETE',
+          headers: this.ifMatch(version)
+        });
+        return true;
+      } catch (error) {
+        if (error.status !== 412) showToast(`Failed to delete task: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async archiveTask(id, version) {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks/${id}/archive`, {
+          method: 'POST',
+          headers: this.ifMatch(version)
+        });
+        return await response.json();
+      } catch (error) {
+        if (error.status !== 412) showToast(`Failed to archive task: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async restoreTask(id) {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks/${id}/restore`, { method: 'POST' });
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to restore task: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async getTrash() {
+      try {
+        const response = await this.send(`${this.boardPath()}/trash`);
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to fetch trash: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async restoreDeletedTask(id) {
+      try {
+        const response = await this.send(`${this.boardPath()}/trash/${id}/restore`, { method: 'POST' });
+        return await response.json();
+      } catch (error) {
+        if (error.status !== 404) showToast(`Failed to restore task: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async getArchivedTasks() {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks?archived=true&sort=-updated`);
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to fetch archived tasks: ${error.message}`, 'error');
         throw error;
       }
     },
 
-    async deleteTask(id) {
+    async getTaskHistory(id) {
       try {
-        const response = await fetch(`${this.baseUrl}/tasks/${id}`, {
-          method: 'DELETE'
+        const response = await this.send(`${this.boardPath()}/tasks/${id}/history`);
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to fetch task history: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async addComment(taskId, text) {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks/${taskId}/comments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text })
         });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to add comment: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async deleteComment(taskId, commentId) {
+      try {
+        await this.send(`${this.boardPath()}/tasks/${taskId}/comments/${commentId}`, { method: 'DELETE' });
         return true;
       } catch (error) {
-        showToast(`Failed to delete task: ${error.message}`, 'error');
+        showToast(`Failed to delete comment: ${error.message}`, 'error');
         throw error;
       }
     },
 
-    async moveTask(id, status, order) {
+    async addChecklistItem(taskId, text) {
       try {
-        const response = await fetch(`${this.baseUrl}/tasks/${id}/move`, {
+        const response = await this.send(`${this.boardPath()}/tasks/${taskId}/checklist`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ status, order })
+          body: JSON.stringify({ text })
+        });
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to add checklist item: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    // Change an item's text, done flag or position (index)
+    async updateChecklistItem(taskId, itemId, data) {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks/${taskId}/checklist/${itemId}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data)
         });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         return await response.json();
       } catch (error) {
-        showToast(`Failed to move task: ${error.message}`, 'error');
+        showToast(`Failed to update checklist item: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async deleteChecklistItem(taskId, itemId) {
+      try {
+        await this.send(`${this.boardPath()}/tasks/${taskId}/checklist/${itemId}`, { method: 'DELETE' });
+        return true;
+      } catch (error) {
+        showToast(`Failed to delete checklist item: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    // Move a task to a position in a column: { before_id } puts it in front of
+    // another card (the end when null), { order } at an index
+    async moveTask(id, status, position, version) {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks/${id}/move`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...this.ifMatch(version) },
+          body: JSON.stringify({ status, ...position })
+        });
+        return await response.json();
+      } catch (error) {
+        if (error.status !== 412) showToast(`Failed to move task: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    // Ranked full-text search; highlights come back as escaped HTML with <mark>s
+    async search(q, limit) {
+      try {
+        const params = new URLSearchParams({ q, limit: String(limit) });
+        const response = await this.send(`${this.boardPath()}/search?${params.toString()}`);
+        return await response.json();
+      } catch (error) {
+        showToast(`Search failed: ${error.message}`, 'error');
         throw error;
       }
     },
 
     async getStats() {
       try {
-        const response = await fetch(`${this.baseUrl}/stats`);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const response = await this.send(`${this.boardPath()}/stats`);
         return await response.json();
       } catch (error) {
         showToast(`Failed to fetch stats: ${error.message}`, 'error');
@@ -173,15 +393,38 @@
       }
     },
 
-    async clearDone() {
+    async getBoards() {
       try {
-        const response = await fetch(`${this.baseUrl}/tasks?status=done`, {
-          method: 'DELETE'
+        const response = await this.send('/boards');
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to fetch boards: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async createBoard(data) {
+      try {
+        const response = await this.send('/boards', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data)
         });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         return await response.json();
       } catch (error) {
-        showToast(`Failed to clear done tasks: ${error.message}`, 'error');
+        showToast(`Failed to create board: ${error.message}`, 'error');
+        throw error;
+      }
+    },
+
+    async archiveDone() {
+      try {
+        const response = await this.send(`${this.boardPath()}/tasks/archive`, {
+          method: 'POST'
+        });
+        return await response.json();
+      } catch (error) {
+        showToast(`Failed to archive done tasks: ${error.message}`, 'error');
         throw error;
       }
     }
@@ -192,7 +435,10 @@
   // ============================================================================
 
   function connectWebSocket() {
-    const wsUrl = `ws://${window.location.host}`;
+    const params = new URLSearchParams({ board: state.boardId });
+    const token = getToken();
+    if (token) params.append('token', token);
+    const wsUrl = `ws://${window.location.host}?${params.toString()}`;
 
     try {
       state.ws = new WebSocket(wsUrl);
@@ -200,15 +446,24 @@
       state.ws.onopen = () => {
         state.connected = true;
         state.reconnectAttempts = 0;
+        state.lastMessageAt = Date.now();
         updateConnectionStatus();
         showToast('Connected to server', 'success');
+
+        // Catch up on what happened while we were away; a first connect (or a
+        // restarted server) answers with a snapshot of the board instead
+        state.ws.send(JSON.stringify({
+          type: 'hello',
+          protocol: PROTOCOL_VERSION,
+          board_id: state.boardId,
+          actor: ACTOR,
+          client: 'browser',
+          resume: state.serverEpoch ? { epoch: state.serverEpoch, seq: state.lastSeq } : undefined
+        }));
       };
 
       state.ws.onclose = () => {
-        state.connected = false;
-        updateConnectionStatus();
-        showToast('Disconnected from server', 'warning');
-        scheduleReconnect();
+        handleDisconnect();
       };
 
       state.ws.onerror = (error) => {
@@ -216,6 +471,7 @@
       };
 
       state.ws.onmessage = (event) => {
+        state.lastMessageAt = Date.now();
         try {
           const message = JSON.parse(event.data);
           handleWebSocketMessage(message);
@@ -229,6 +485,31 @@
     }
   }
 
+  function handleDisconnect() {
+    clearInterval(state.heartbeatTimer);
+    state.connected = false;
+    updateConnectionStatus();
+    setPresence([]);
+    showToast('Disconnected from server', 'warning');
+    scheduleReconnect();
+  }
+
+  // Ping the server and give up on a connection that has gone quiet for two
+  // intervals; a dropped network often never fires onclose on its own
+  function startHeartbeat(intervalMs) {
+    clearInterval(state.heartbeatTimer);
+    state.heartbeatTimer = setInterval(() => {
+      if (Date.now() - state.lastMessageAt > 2 * intervalMs) {
+        const ws = state.ws;
+        ws.onclose = null;
+        ws.close();
+        handleDisconnect();
+        return;
+      }
+      state.ws.send(JSON.stringify({ type: 'ping' }));
+    }, intervalMs);
+  }
+
   function scheduleReconnect() {
     state.reconnectAttempts++;
     const delay = Math.min(1000 * Math.pow(2, state.reconnectAttempts), 30000);
@@ -238,9 +519,31 @@
     }, delay);
   }
 
+  // Ask the server for events of the board being viewed
+  function subscribeToBoard() {
+    if (state.ws && state.ws.readyState === WebSocket.OPEN) {
+      state.ws.send(JSON.stringify({ type: 'subscribe', board_id: state.boardId }));
+    }
+  }
+
   function handleWebSocketMessage(message) {
     const { type, task } = message;
 
+    if (CONTROL_MESSAGES.includes(type)) {
+      handleControlMessage(message);
+      return;
+    }
+
+    // Events are numbered; a replay after reconnecting may repeat some
+    if (message.seq !== undefined) {
+      if (message.seq <= state.lastSeq) return;
+      state.lastSeq = message.seq;
+    }
+
+    // Ignore events that raced with a board switch
+    const eventBoardId = message.board_id || (task && task.board_id);
+    if (eventBoardId && eventBoardId !== state.boardId) return;
+
     switch (type) {
       case 'task_created':
         if (task && !state.tasks.find(t => t.id === task.id)) {
@@ -251,6 +554,9 @@
 
       case 'task_updated':
       case 'task_moved':
+      case 'task_claimed':
+      case 'task_released':
+      case 'task_lease_expired':
         if (task) {
           const index = state.tasks.findIndex(t => t.id === task.id);
           if (index !== -1) {
@@ -261,17 +567,133 @@
         break;
 
       case 'task_deleted':
+      case 'task_archived':
         if (task && task.id) {
           state.tasks = state.tasks.filter(t => t.id !== task.id);
           renderBoard();
+          refreshArchive();
+        }
+        break;
+
+      case 'task_restored':
+        if (task && !state.tasks.find(t => t.id === task.id)) {
+          state.tasks.push(task);
+          renderBoard();
+          refreshArchive();
+        }
+        break;
+
+      case 'task_reordered':
+        applyTaskOrder(message.columns);
+        break;
+
+      case 'task_due_soon':
+      case 'task_overdue':
+        if (task) {
+          const index = state.tasks.findIndex(t => t.id === task.id);
+          if (index !== -1) state.tasks[index] = task;
+          renderBoard();
+          showToast(`${type === 'task_overdue' ? 'Overdue' : 'Due soon'}: ${task.title}`, 'warning');
         }
         break;
 
+      case 'comment_added':
+        applyTaskVersion(message);
+        applyCommentAdded(message.task_id, message.comment);
+        break;
+
+      case 'comment_deleted':
+        applyTaskVersion(message);
+        applyCommentDeleted(message.task_id, message.comment.id);
+        break;
+
+      case 'checklist_updated':
+        applyTaskVersion(message);
+        applyChecklist(message.task_id, message.checklist);
+        break;
+
+      case 'time_updated':
+        applyTimeEntries(message.task_id, message.time_entries);
+        break;
+
+      case 'board_created':
+      case 'board_updated':
+      case 'board_deleted':
+        fetchBoards();
+        break;
+
+      case 'columns_updated': {
+        const board = currentBoard();
+        if (board) {
+          board.columns = message.columns;
+          board.transitions = message.transitions;
+          renderColumns();
+          renderBoard();
+        }
+        break;
+      }
+
       default:
         console.log('Unknown WebSocket message type:', type);
     }
   }
 
+  // Protocol messages, as opposed to board events
+  const CONTROL_MESSAGES = ['welcome', 'snapshot', 'resumed', 'subscribed', 'pong', 'result', 'presence', 'error'];
+
+  function handleControlMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        // Sequence numbers start over when the server restarts
+        if (message.epoch !== state.serverEpoch) {
+          state.serverEpoch = message.epoch;
+          state.lastSeq = 0;
+        }
+        startHeartbeat(message.heartbeat_ms);
+        break;
+
+      case 'snapshot': {
+        if (message.board_id !== state.boardId) break;
+        state.lastSeq = message.seq;
+        state.tasks = message.tasks;
+        const board = currentBoard();
+        if (board && message.board) {
+          board.columns = message.board.columns;
+          board.transitions = message.board.transitions;
+          renderColumns();
+        }
+        renderBoard();
+        break;
+      }
+
+      case 'resumed':
+        state.lastSeq = message.seq;
+        break;
+
+      case 'presence':
+        if (message.board_id === state.boardId) setPresence(message.clients);
+        break;
+
+      case 'error':
+        console.error('WebSocket error message:', message.error);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Apply server ordering: columns maps a status to its task IDs in order
+  function applyTaskOrder(columns) {
+    Object.values(columns || {}).forEach(ids => {
+      ids.forEach((id, order) => {
+        const task = state.tasks.find(t => t.id === id);
+        if (task) task.order = order;
+      });
+    });
+    renderBoard();
+  }
+
   function updateConnectionStatus() {
     const statusEl = document.getElementById('connectionStatus');
     if (state.connected) {
@@ -287,15 +709,34 @@
   // RENDERING
   // ============================================================================
 
+  // The search box takes the same query language as GET /api/tasks?q=
+  // (query.js). While the query doesn't parse, the box is marked invalid
+  // and the search is ignored.
+  function compileSearch() {
+    const input = document.getElementById('searchInput');
+    try {
+      const match = KanbanQuery.parseQuery(state.filters.search, {
+        actor: ACTOR,
+        statusRank: status => getColumns().findIndex(c => c.id === status),
+        isFinished,
+        isBlocked: task => openBlockers(task).length > 0
+      });
+      input.classList.remove('invalid');
+      input.title = '';
+      return match;
+    } catch (error) {
+      input.classList.add('invalid');
+      input.title = error.message;
+      return () => true;
+    }
+  }
+
   function filterTasks() {
+    const matchesSearch = compileSearch();
+
     return state.tasks.filter(task => {
       // Search filter
-      if (state.filters.search) {
-        const search = state.filters.search.toLowerCase();
-        const matchesTitle = task.title.toLowerCase().includes(search);
-        const matchesDesc = task.description?.toLowerCase().includes(search);
-        if (!matchesTitle && !matchesDesc) return false;
-      }
+      if (!matchesSearch(task)) return false;
 
       // Priority filter
       if (state.filters.priority && task.priority !== state.filters.priority) {
@@ -311,46 +752,181 @@
     });
   }
 
+  // Tasks in the board's last column count as finished
+  function isFinished(task) {
+    const columns = getColumns();
+    return task.status === columns[columns.length - 1].id;
+  }
+
+  // Due date badge: red once overdue, amber within a day, muted otherwise
+  function renderDueBadge(task) {
+    if (!task.due_at) return '';
+
+    const dueIn = new Date(task.due_at) - Date.now();
+    const title = `Due ${new Date(task.due_at).toLocaleString()}`;
+
+    if (isFinished(task)) {
+      return `<span class="due-badge" title="${escapeHtml(title)}">📅 ${new Date(task.due_at).toLocaleDateString()}</span>`;
+    }
+    if (dueIn < 0) {
+      return `<span class="due-badge overdue" title="${escapeHtml(title)}">⏰ Overdue ${formatDuration(dueIn)}</span>`;
+    }
+    const soon = dueIn < 24 * 60 * 60 * 1000;
+    return `<span class="due-badge${soon ? ' due-soon' : ''}" title="${escapeHtml(title)}">📅 Due in ${formatDuration(dueIn)}</span>`;
+  }
+
+  // The plain words of the search box, leaving out query-language terms
+  // like tag:finance, operators and negated words
+  function searchWords() {
+    return state.filters.search
+      .split(/\s+/)
+      .map(word => word.replace(/[()"]/g, ''))
+      .filter(word => word && !/[:<>=]/.test(word) && !word.startsWith('-') && !['AND', 'OR', 'NOT'].includes(word));
+  }
+
+  // Escaped text with the words (and anything they start) wrapped in <mark>
+  function highlightText(text, words) {
+    if (words.length === 0) return escapeHtml(text);
+
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`((?:${escaped.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+    return text.split(pattern)
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  }
+
+  // Blockers of a task that aren't finished yet
+  function openBlockers(task) {
+    return (task.blocked_by || [])
+      .map(id => state.tasks.find(t => t.id === id))
+      .filter(blocker => blocker && !isFinished(blocker));
+  }
+
+  function renderBlockerLink(blocker) {
+    return `<a class="blocker-link${isFinished(blocker) ? ' finished' : ''}" data-task-id="${escapeHtml(blocker.id)}">${escapeHtml(blocker.title)}</a>`;
+  }
+
+  // "2/3" progress for cards with a checklist
+  function renderChecklistProgress(task) {
+    const checklist = task.checklist || [];
+    if (checklist.length === 0) return '';
+
+    const done = checklist.filter(item => item.done).length;
+    const complete = done === checklist.length;
+    return `<span class="checklist-progress${complete ? ' complete' : ''}" title="Checklist">☑ ${done}/${checklist.length}</span>`;
+  }
+
+  // Time logged on the task's timers; highlighted while one is running
+  function renderTimeTracked(task) {
+    const entries = task.time_entries || [];
+    if (entries.length === 0) return '';
+
+    const now = Date.now();
+    const running = entries.filter(entry => !entry.stopped_at);
+    const total = entries.reduce((sum, entry) =>
+      sum + (entry.stopped_at ? Date.parse(entry.stopped_at) : now) - Date.parse(entry.started_at), 0);
+    const title = running.length > 0
+      ? `Timer running: ${running.map(entry => entry.actor).join(', ')}`
+      : 'Time tracked';
+    return `<span class="time-tracked${running.length > 0 ? ' running' : ''}" title="${escapeHtml(title)}">⏱ ${formatDuration(total)}</span>`;
+  }
+
   function renderCard(task) {
-    const isActive = isActiveNow(task);
+    const activity = taskActivity(task);
+    const blockers = openBlockers(task);
     const tags = task.tags || [];
     const tagsHtml = tags.map(tag =>
       `<span class="tag">${escapeHtml(tag)}</span>`
     ).join('');
 
     return `
-      <div class="task-card${isActive ? ' active-now' : ''}"
+      <div class="task-card${activity ? ' active-now' : ''}${blockers.length > 0 ? ' blocked' : ''}"
            draggable="true"
            data-task-id="${escapeHtml(task.id)}"
            data-priority="${escapeHtml(task.priority)}">
         <div class="card-header">
-          ${isActive ? '<span class="active-badge">⚡️ Active</span>' : ''}
+          ${activity ? `<span class="active-badge" title="Since ${escapeHtml(new Date(activity.since).toLocaleTimeString())}">⚡️ ${escapeHtml(activity.name)}</span>` : ''}
           <span class="priority-badge priority-${escapeHtml(task.priority)}">
             ${escapeHtml(task.priority)}
           </span>
-          <span class="card-assignee">${escapeHtml(task.assignee || 'Unassigned')}</span>
+          <span class="card-assignee"${task.lease ? ` title="Claimed by ${escapeHtml(task.lease.holder)}"` : ''}>
+            ${task.lease ? '🔒 ' : ''}${escapeHtml(task.assignee || 'Unassigned')}
+          </span>
         </div>
-        <h4 class="card-title">${escapeHtml(task.title)}</h4>
+        <h4 class="card-title">${highlightText(task.title, searchWords())}</h4>
+        ${activity && activity.text ? `<div class="card-activity">${escapeHtml(activity.text)}</div>` : ''}
+        ${blockers.length > 0 ? `<div class="card-blockers">⛔ Blocked by ${blockers.map(renderBlockerLink).join(', ')}</div>` : ''}
         <p class="card-description">${escapeHtml(task.description || '')}</p>
         <div class="card-footer">
           <div class="card-tags">${tagsHtml}</div>
+          ${renderChecklistProgress(task)}
+          ${renderTimeTracked(task)}
+          ${renderDueBadge(task)}
           <span class="card-time">${timeAgo(task.created_at)}</span>
         </div>
       </div>
     `;
   }
 
+  function setPresence(clients) {
+    state.presence = clients;
+    renderPresence();
+    renderBoard();
+  }
+
+  // Header panel: the agents on the board (⚡ while they report working on a
+  // task) and how many people have it open
+  function renderPresence() {
+    const agents = state.presence.filter(client => client.kind === 'agent');
+    const viewers = state.presence.filter(client => client.kind === 'browser');
+
+    document.getElementById('presencePanel').innerHTML = agents.map(agent => {
+      const task = agent.activity && state.tasks.find(t => t.id === agent.activity.task_id);
+      const title = task
+        ? `Working on "${task.title}"${agent.activity.text ? `: ${agent.activity.text}` : ''}`
+        : 'Online';
+      return `<span class="presence-agent${task ? ' working' : ''}" title="${escapeHtml(title)}">` +
+        `${task ? '⚡' : '🤖'} ${escapeHtml(agent.name)}</span>`;
+    }).join('') + (viewers.length > 0
+      ? `<span class="presence-viewers" title="${escapeHtml(viewers.map(viewer => viewer.name).join(', '))}">👤 ${viewers.length}</span>`
+      : '');
+  }
+
+  // Build the column skeletons for the current board
+  function renderColumns() {
+    const columns = getColumns();
+    const board = document.getElementById('board');
+
+    const lastColumn = columns[columns.length - 1];
+
+    board.innerHTML = columns.map(column => `
+      <div class="column" data-status="${escapeHtml(column.id)}" style="border-top-color: ${escapeHtml(column.color)}">
+        <div class="column-header">
+          <div class="column-title">
+            ${column.icon ? `<span class="column-icon">${escapeHtml(column.icon)}</span>` : ''}
+            <h2>${escapeHtml(column.label)}</h2>
+            <span class="task-count" id="count-${escapeHtml(column.id)}">0</span>
+          </div>
+          ${column === lastColumn
+            ? '<button class="btn btn-small btn-ghost" id="clearDoneBtn" title="Archive completed tasks">Archive</button>'
+            : ''}
+        </div>
+        <div class="column-body" data-status="${escapeHtml(column.id)}"></div>
+      </div>
+    `).join('');
+
+    // Status options in the task form follow the same columns
+    document.getElementById('taskStatus').innerHTML = columns.map(column =>
+      `<option value="${escapeHtml(column.id)}">${escapeHtml(column.label)}</option>`
+    ).join('');
+  }
+
   function renderBoard() {
     const filteredTasks = filterTasks();
 
     // Group tasks by status
-    const tasksByStatus = {
-      backlog: [],
-      todo: [],
-      in_progress: [],
-      review: [],
-      done: []
-    };
+    const tasksByStatus = {};
+    getColumns().forEach(column => { tasksByStatus[column.id] = []; });
 
     filteredTasks.forEach(task => {
       if (tasksByStatus[task.status]) {
@@ -366,6 +942,7 @@
     // Render each column
     Object.keys(tasksByStatus).forEach(status => {
       const columnBody = document.querySelector(`.column-body[data-status="${status}"]`);
+      if (!columnBody) return;
       const tasks = tasksByStatus[status];
 
       if (tasks.length === 0) {
@@ -381,26 +958,121 @@
       }
     });
 
-    updateStatsBar();
+    updateStatsBar();
+  }
+
+  // Work under way: In Progress up to the last column, or every column between
+  // the first and the last on boards without in_progress
+  function isActive(task) {
+    const ids = getColumns().map(column => column.id);
+    const index = ids.indexOf(task.status);
+    const first = ids.includes('in_progress') ? ids.indexOf('in_progress') : 1;
+    return index >= first && index < ids.length - 1;
+  }
+
+  // When a finished task entered the last column
+  function finishedAt(task) {
+    const log = task.status_log || [];
+    const last = log[log.length - 1];
+    return new Date(last && last.status === task.status ? last.entered_at : task.updated_at);
+  }
+
+  function updateStatsBar() {
+    const total = state.tasks.length;
+    const inProgress = state.tasks.filter(isActive).length;
+
+    // Calculate tasks done today
+    const now = new Date();
+    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const doneToday = state.tasks.filter(t => isFinished(t) && finishedAt(t) > oneDayAgo).length;
+
+    const statsBar = document.getElementById('statsBar');
+    statsBar.innerHTML = `
+      <span class="stat">📊 ${total} tasks</span>
+      <span class="stat">⚡ ${inProgress} active</span>
+      <span class="stat">✅ ${doneToday} done today</span>
+    `;
+  }
+
+  // ============================================================================
+  // BOARDS
+  // ============================================================================
+
+  // Fallback while the boards list is loading
+  const DEFAULT_COLUMNS = [
+    { id: 'backlog', label: 'Backlog', order: 0, color: '#8b949e', icon: '📋' },
+    { id: 'todo', label: 'To Do', order: 1, color: '#58a6ff', icon: '📝' },
+    { id: 'in_progress', label: 'In Progress', order: 2, color: '#d29922', icon: '⚡' },
+    { id: 'review', label: 'Review', order: 3, color: '#db6d28', icon: '🔍' },
+    { id: 'done', label: 'Done', order: 4, color: '#3fb950', icon: '✅' }
+  ];
+
+  function currentBoard() {
+    return state.boards.find(b => b.id === state.boardId) || null;
+  }
+
+  function getColumns() {
+    const board = currentBoard();
+    const columns = board && board.columns ? board.columns : DEFAULT_COLUMNS;
+    return [...columns].sort((a, b) => a.order - b.order);
+  }
+
+  function getColumn(status) {
+    return getColumns().find(column => column.id === status) || null;
+  }
+
+  function renderBoardSwitcher() {
+    const select = document.getElementById('boardSelect');
+    select.innerHTML = state.boards.map(board =>
+      `<option value="${escapeHtml(board.id)}">${escapeHtml(board.name)}</option>`
+    ).join('');
+    select.value = state.boardId;
+  }
+
+  async function fetchBoards() {
+    try {
+      state.boards = await api.getBoards();
+
+      // The board we were viewing may have been deleted
+      if (!currentBoard()) {
+        await switchBoard('default');
+      }
+      renderBoardSwitcher();
+      renderColumns();
+      renderBoard();
+    } catch (error) {
+      console.error('Failed to fetch boards:', error);
+    }
   }
 
-  function updateStatsBar() {
-    const total = state.tasks.length;
-    const inProgress = state.tasks.filter(t => t.status === 'in_progress').length;
+  async function switchBoard(boardId) {
+    if (boardId === state.boardId) return;
 
-    // Calculate tasks done today
-    const now = new Date();
-    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    const doneToday = state.tasks.filter(t => {
-      return t.status === 'done' && new Date(t.updated_at) > oneDayAgo;
-    }).length;
+    state.boardId = boardId;
+    localStorage.setItem('kanbanBoard', boardId);
+    state.tasks = [];
+    state.undoStack = [];
+    closeModal('detailModal');
+    renderBoardSwitcher();
+    renderColumns();
+    renderBoard();
 
-    const statsBar = document.getElementById('statsBar');
-    statsBar.innerHTML = `
-      <span class="stat">📊 ${total} tasks</span>
-      <span class="stat">⚡ ${inProgress} active</span>
-      <span class="stat">✅ ${doneToday} done today</span>
-    `;
+    subscribeToBoard();
+    await fetchAndRender();
+  }
+
+  async function handleAddBoard() {
+    const name = prompt('Name of the new board:');
+    if (!name || !name.trim()) return;
+
+    try {
+      const board = await api.createBoard({ name: name.trim() });
+      state.boards.push(board);
+      await switchBoard(board.id);
+      showToast(`Board "${board.name}" created`, 'success');
+    } catch (error) {
+      console.error('Failed to create board:', error);
+    }
   }
 
   // ============================================================================
@@ -463,23 +1135,40 @@
 
     if (!taskId || !newStatus) return;
 
-    // Calculate drop position
+    // Find the card the task was dropped in front of. Sending its ID rather than
+    // a DOM index keeps the position right while filters hide part of the column.
     const cards = Array.from(columnBody.querySelectorAll('.task-card:not(.dragging)'));
     const mouseY = e.clientY;
 
-    let insertIndex = cards.length;
+    let beforeId = null;
     for (let i = 0; i < cards.length; i++) {
       const rect = cards[i].getBoundingClientRect();
       if (mouseY < rect.top + rect.height / 2) {
-        insertIndex = i;
+        beforeId = cards[i].dataset.taskId;
         break;
       }
     }
 
+    const task = state.tasks.find(t => t.id === taskId);
+
     try {
-      await api.moveTask(taskId, newStatus, insertIndex);
+      const moved = await api.moveTask(taskId, newStatus, { before_id: beforeId }, task && task.version);
+      if (task && (moved.status !== task.status || moved.order !== task.order)) {
+        pushUndo({
+          type: 'move',
+          label: `move of "${task.title}"`,
+          taskId,
+          version: moved.version,
+          status: task.status,
+          order: task.order
+        });
+      }
       await fetchAndRender();
     } catch (error) {
+      if (error.status === 412) {
+        await handleStaleTask();
+        return;
+      }
       console.error('Failed to move task:', error);
     }
   }
@@ -490,11 +1179,15 @@
 
   function openNewTaskModal() {
     state.editingTaskId = null;
+    state.editingBase = null;
 
     // Reset form
     document.getElementById('taskForm').reset();
-    document.getElementById('taskStatus').value = 'backlog';
+    const columns = getColumns();
+    document.getElementById('taskStatus').value =
+      columns.find(c => c.id === 'backlog') ? 'backlog' : columns[0].id;
     document.getElementById('taskPriority').value = 'medium';
+    populateBlockerOptions(null, []);
 
     // Update modal UI
     document.getElementById('modalTitle').textContent = 'New Task';
@@ -511,14 +1204,18 @@
       showToast('Task not found', 'error');
       return;
     }
+    state.editingBase = { ...task };
 
     // Populate form
     document.getElementById('taskTitle').value = task.title || '';
     document.getElementById('taskDescription').value = task.description || '';
-    document.getElementById('taskStatus').value = task.status || 'backlog';
+    document.getElementById('taskStatus').value = task.status || getColumns()[0].id;
     document.getElementById('taskPriority').value = task.priority || 'medium';
     document.getElementById('taskAssignee').value = task.assignee || '';
     document.getElementById('taskTags').value = (task.tags || []).join(', ');
+    document.getElementById('taskStartAt').value = toDateTimeLocal(task.start_at);
+    document.getElementById('taskDueAt').value = toDateTimeLocal(task.due_at);
+    populateBlockerOptions(task.id, task.blocked_by || []);
 
     // Update modal UI
     document.getElementById('modalTitle').textContent = 'Edit Task';
@@ -528,6 +1225,16 @@
     showModal('taskModal');
   }
 
+  // Fill the "Blocked by" list with the board's other tasks
+  function populateBlockerOptions(taskId, selected) {
+    const select = document.getElementById('taskBlockedBy');
+    select.innerHTML = state.tasks
+      .filter(t => t.id !== taskId)
+      .sort((a, b) => a.title.localeCompare(b.title))
+      .map(t => `<option value="${escapeHtml(t.id)}"${selected.includes(t.id) ? ' selected' : ''}>${escapeHtml(t.title)}</option>`)
+      .join('');
+  }
+
   function showModal(modalId) {
     const modal = document.getElementById(modalId);
     if (modal) {
@@ -554,7 +1261,10 @@
       tags: document.getElementById('taskTags').value
         .split(',')
         .map(tag => tag.trim())
-        .filter(tag => tag.length > 0)
+        .filter(tag => tag.length > 0),
+      start_at: fromDateTimeLocal(document.getElementById('taskStartAt').value),
+      due_at: fromDateTimeLocal(document.getElementById('taskDueAt').value),
+      blocked_by: Array.from(document.getElementById('taskBlockedBy').selectedOptions, option => option.value)
     };
 
     if (!formData.title) {
@@ -564,7 +1274,16 @@
 
     try {
       if (state.editingTaskId) {
-        await api.updateTask(state.editingTaskId, formData);
+        const base = state.editingBase;
+        const updated = await api.updateTask(state.editingTaskId, formData, base.version);
+
+        const previous = {};
+        EDITABLE_FIELDS
+          .filter(field => JSON.stringify(base[field]) !== JSON.stringify(updated[field]))
+          .forEach(field => { previous[field] = base[field] === undefined ? null : base[field]; });
+        if (Object.keys(previous).length > 0) {
+          pushUndo({ type: 'edit', label: `edit of "${updated.title}"`, taskId: updated.id, version: updated.version, fields: previous });
+        }
         showToast('Task updated successfully', 'success');
       } else {
         await api.createTask(formData);
@@ -574,10 +1293,54 @@
       closeModal('taskModal');
       await fetchAndRender();
     } catch (error) {
+      if (error.status === 412) {
+        if (resolveEditConflict(error.body.task)) {
+          await handleTaskFormSubmit(e);
+        }
+        return;
+      }
       console.error('Failed to save task:', error);
     }
   }
 
+  // Fields the edit modal can change
+  const EDITABLE_FIELDS = ['title', 'description', 'status', 'priority', 'assignee', 'tags', 'start_at', 'due_at', 'blocked_by'];
+
+  // Someone else saved the task while the edit modal was open. Returns true to
+  // save the form over their version, false after loading theirs into the form.
+  function resolveEditConflict(latest) {
+    const base = state.editingBase;
+    const changedFields = EDITABLE_FIELDS.filter(field =>
+      JSON.stringify(base[field]) !== JSON.stringify(latest[field])
+    );
+    const summary = changedFields.length > 0
+      ? `They changed: ${changedFields.join(', ')}.`
+      : 'None of the fields in this form were changed.';
+
+    const index = state.tasks.findIndex(t => t.id === latest.id);
+    if (index !== -1) state.tasks[index] = latest;
+
+    const overwrite = confirm(
+      `"${latest.title}" was changed by someone else while you were editing.\n${summary}\n\n` +
+      'OK: save your version over theirs\nCancel: discard your edits and load the latest version'
+    );
+
+    if (overwrite) {
+      state.editingBase = { ...latest };
+      return true;
+    }
+
+    openEditTaskModal(latest.id);
+    showToast('Loaded the latest version of the task', 'info');
+    return false;
+  }
+
+  // A move or delete was based on an outdated card; show the current board instead
+  async function handleStaleTask() {
+    showToast('This task was changed by someone else; the board has been refreshed', 'warning');
+    await fetchAndRender();
+  }
+
   // ============================================================================
   // TASK DETAIL VIEW
   // ============================================================================
@@ -590,6 +1353,7 @@
     }
 
     document.getElementById('detailTitle').textContent = task.title;
+    const statusColumn = getColumn(task.status);
 
     const tags = task.tags || [];
     const tagsHtml = tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
@@ -603,7 +1367,7 @@
       <div class="detail-row">
         <div class="detail-section">
           <label>Status</label>
-          <p><span class="status-badge status-${escapeHtml(task.status)}">${escapeHtml(task.status)}</span></p>
+          <p><span class="status-badge" style="color: ${escapeHtml(statusColumn ? statusColumn.color : '')}">${escapeHtml(statusColumn ? statusColumn.label : task.status)}</span></p>
         </div>
         <div class="detail-section">
           <label>Priority</label>
@@ -620,6 +1384,17 @@
           <div class="card-tags">${tagsHtml || '<span class="text-muted">No tags</span>'}</div>
         </div>
       </div>
+      <div class="detail-row">
+        <div class="detail-section">
+          <label>Start</label>
+          <p>${task.start_at ? new Date(task.start_at).toLocaleString() : '<span class="text-muted">Not set</span>'}</p>
+        </div>
+        <div class="detail-section">
+          <label>Due</label>
+          <p>${task.due_at ? `${new Date(task.due_at).toLocaleString()} ${renderDueBadge(task)}` : '<span class="text-muted">Not set</span>'}</p>
+        </div>
+      </div>
+      ${renderDependencies(task)}
       <div class="detail-row">
         <div class="detail-section">
           <label>Created</label>
@@ -630,12 +1405,330 @@
           <p>${new Date(task.updated_at).toLocaleString()}</p>
         </div>
       </div>
+      <div class="detail-section">
+        <label>Checklist</label>
+        <ul class="checklist" id="detailChecklist">${renderChecklist(task)}</ul>
+        <form class="checklist-form" id="checklistForm">
+          <input type="text" id="checklistText" placeholder="Add an item..." />
+          <button type="submit" class="btn btn-small btn-ghost">Add</button>
+        </form>
+      </div>
+      <div class="detail-section">
+        <label>Comments</label>
+        <div class="comment-thread" id="detailComments">${renderCommentThread(task)}</div>
+        <form class="comment-form" id="commentForm">
+          <textarea id="commentText" rows="2" placeholder="Add a progress note..."></textarea>
+          <button type="submit" class="btn btn-small btn-primary">Comment</button>
+        </form>
+      </div>
+      <div class="detail-section">
+        <label>History</label>
+        <div class="history-timeline" id="detailHistory">
+          <span class="text-muted">Loading history...</span>
+        </div>
+      </div>
     `;
 
     // Store task ID for edit/delete actions
     detailBody.dataset.taskId = task.id;
+    document.getElementById('detailArchive').hidden = !isFinished(task);
 
     showModal('detailModal');
+    loadTaskHistory(task.id);
+  }
+
+  // "Blocked by" and "Blocks" rows of the detail modal; empty when the task has neither
+  function renderDependencies(task) {
+    const blockedBy = (task.blocked_by || [])
+      .map(id => state.tasks.find(t => t.id === id))
+      .filter(Boolean);
+    const blocks = state.tasks.filter(t => (t.blocked_by || []).includes(task.id));
+    if (blockedBy.length === 0 && blocks.length === 0) return '';
+
+    const list = items => items.length > 0
+      ? items.map(renderBlockerLink).join(', ')
+      : '<span class="text-muted">Nothing</span>';
+
+    return `
+      <div class="detail-row">
+        <div class="detail-section">
+          <label>Blocked by</label>
+          <p>${list(blockedBy)}</p>
+        </div>
+        <div class="detail-section">
+          <label>Blocks</label>
+          <p>${list(blocks)}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  function renderChecklist(task) {
+    const checklist = task.checklist || [];
+    if (checklist.length === 0) {
+      return '<li class="text-muted">No checklist items</li>';
+    }
+
+    return checklist.map((item, index) => `
+      <li class="checklist-item${item.done ? ' done' : ''}" data-item-id="${escapeHtml(item.id)}">
+        <input type="checkbox" class="checklist-toggle"${item.done ? ' checked' : ''}
+               title="${item.done && item.done_by ? escapeHtml(`Done by ${item.done_by}`) : ''}" />
+        <span class="checklist-text">${escapeHtml(item.text)}</span>
+        <span class="checklist-actions">
+          <button type="button" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>▲</button>
+          <button type="button" data-action="down" title="Move down"${index === checklist.length - 1 ? ' disabled' : ''}>▼</button>
+          <button type="button" data-action="delete" title="Delete item">✕</button>
+        </span>
+      </li>
+    `).join('');
+  }
+
+  // Store a task's checklist and redraw the card and, if open, the detail modal
+  function applyChecklist(taskId, checklist) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || !checklist) return;
+
+    task.checklist = checklist;
+    renderBoard();
+
+    const container = document.getElementById('detailChecklist');
+    if (container && document.getElementById('detailBody').dataset.taskId === taskId) {
+      container.innerHTML = renderChecklist(task);
+    }
+  }
+
+  // Store a task's time entries and redraw its card with the new tracked time
+  function applyTimeEntries(taskId, entries) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || !entries) return;
+
+    task.time_entries = entries;
+    renderBoard();
+  }
+
+  async function handleChecklistSubmit(e) {
+    if (e.target.id !== 'checklistForm') return;
+    e.preventDefault();
+
+    const taskId = document.getElementById('detailBody').dataset.taskId;
+    const input = document.getElementById('checklistText');
+    const text = input.value.trim();
+    if (!taskId || !text) return;
+
+    try {
+      const item = await api.addChecklistItem(taskId, text);
+      input.value = '';
+      const task = state.tasks.find(t => t.id === taskId);
+      if (task && !(task.checklist || []).find(i => i.id === item.id)) {
+        applyChecklist(taskId, [...(task.checklist || []), item]);
+      }
+    } catch (error) {
+      console.error('Failed to add checklist item:', error);
+    }
+  }
+
+  // Ticking, reordering and deleting checklist items in the detail modal
+  async function handleChecklistChange(e) {
+    const itemEl = e.target.closest('.checklist-item');
+    if (!itemEl) return;
+
+    const taskId = document.getElementById('detailBody').dataset.taskId;
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    const itemId = itemEl.dataset.itemId;
+    const others = (task.checklist || []).filter(item => item.id !== itemId);
+    const index = (task.checklist || []).findIndex(item => item.id === itemId);
+
+    try {
+      if (e.type === 'change' && e.target.classList.contains('checklist-toggle')) {
+        const item = await api.updateChecklistItem(taskId, itemId, { done: e.target.checked });
+        others.splice(index, 0, item);
+        applyChecklist(taskId, others);
+        return;
+      }
+
+      const button = e.type === 'click' && e.target.closest('.checklist-actions button');
+      if (!button) return;
+
+      if (button.dataset.action === 'delete') {
+        await api.deleteChecklistItem(taskId, itemId);
+        applyChecklist(taskId, others);
+      } else {
+        const target = Math.max(0, index + (button.dataset.action === 'up' ? -1 : 1));
+        const item = await api.updateChecklistItem(taskId, itemId, { index: target });
+        others.splice(target, 0, item);
+        applyChecklist(taskId, others);
+      }
+    } catch (error) {
+      console.error('Failed to update checklist:', error);
+    }
+  }
+
+  function renderCommentThread(task) {
+    const comments = task.comments || [];
+    if (comments.length === 0) {
+      return '<span class="text-muted">No comments yet</span>';
+    }
+
+    return comments.map(comment => `
+      <div class="comment" data-comment-id="${escapeHtml(comment.id)}">
+        <div class="comment-meta">
+          <span class="comment-author">${escapeHtml(comment.author)}</span>
+          <span class="comment-time" title="${escapeHtml(new Date(comment.created_at).toLocaleString())}">
+            ${timeAgo(comment.created_at)}
+          </span>
+          <button type="button" class="comment-delete" title="Delete comment">✕</button>
+        </div>
+        <p class="comment-text">${escapeHtml(comment.text)}</p>
+      </div>
+    `).join('');
+  }
+
+  // Re-render the comment thread if the detail modal is showing this task
+  function refreshCommentThread(taskId) {
+    const detailBody = document.getElementById('detailBody');
+    const container = document.getElementById('detailComments');
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || !container || detailBody.dataset.taskId !== taskId) return;
+
+    container.innerHTML = renderCommentThread(task);
+    container.scrollTop = container.scrollHeight;
+  }
+
+  // Comment and checklist events carry the task's new version, which the next
+  // edit of the task sends as If-Match
+  function applyTaskVersion(message) {
+    const task = state.tasks.find(t => t.id === message.task_id);
+    if (!task || message.version === undefined) return;
+
+    task.version = message.version;
+    task.updated_at = message.updated_at;
+  }
+
+  function applyCommentAdded(taskId, comment) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || !comment) return;
+
+    task.comments = task.comments || [];
+    if (!task.comments.find(c => c.id === comment.id)) {
+      task.comments.push(comment);
+    }
+    refreshCommentThread(taskId);
+  }
+
+  function applyCommentDeleted(taskId, commentId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    task.comments = (task.comments || []).filter(c => c.id !== commentId);
+    refreshCommentThread(taskId);
+  }
+
+  async function handleCommentSubmit(e) {
+    if (e.target.id !== 'commentForm') return;
+    e.preventDefault();
+
+    const taskId = document.getElementById('detailBody').dataset.taskId;
+    const input = document.getElementById('commentText');
+    const text = input.value.trim();
+    if (!taskId || !text) return;
+
+    try {
+      const comment = await api.addComment(taskId, text);
+      input.value = '';
+      applyCommentAdded(taskId, comment);
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+    }
+  }
+
+  async function handleCommentDelete(e) {
+    const button = e.target.closest('.comment-delete');
+    if (!button) return;
+
+    const taskId = document.getElementById('detailBody').dataset.taskId;
+    const commentId = button.closest('.comment').dataset.commentId;
+    if (!taskId || !commentId || !confirm('Delete this comment?')) return;
+
+    try {
+      await api.deleteComment(taskId, commentId);
+      applyCommentDeleted(taskId, commentId);
+    } catch (error) {
+      console.error('Failed to delete comment:', error);
+    }
+  }
+
+  function formatHistoryValue(value) {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return '<span class="text-muted">(empty)</span>';
+    }
+    let text = Array.isArray(value) ? value.join(', ') : String(value);
+    if (text.length > 60) {
+      text = text.slice(0, 57) + '...';
+    }
+    return `<code>${escapeHtml(text)}</code>`;
+  }
+
+  function renderHistoryEntry(entry) {
+    let summary;
+    if (entry.action === 'created') {
+      summary = 'created this task';
+    } else if (entry.action === 'deleted') {
+      summary = 'deleted this task';
+    } else if (entry.action === 'archived') {
+      summary = 'archived this task';
+    } else if (entry.action === 'restored') {
+      summary = 'restored this task';
+    } else if (entry.action === 'claimed') {
+      summary = 'claimed this task';
+    } else if (entry.action === 'released') {
+      summary = 'released this task';
+    } else if (entry.action === 'lease_expired') {
+      summary = 'handed this task back after its claim expired';
+    } else if (entry.action === 'commented') {
+      summary = `commented ${formatHistoryValue(entry.changes[0].new)}`;
+    } else if (entry.action === 'comment_deleted') {
+      summary = `deleted the comment ${formatHistoryValue(entry.changes[0].old)}`;
+    } else {
+      summary = entry.changes.map(change =>
+        `changed <strong>${escapeHtml(change.field)}</strong> from ` +
+        `${formatHistoryValue(change.old)} to ${formatHistoryValue(change.new)}`
+      ).join('<br>');
+    }
+
+    return `
+      <div class="history-entry">
+        <div class="history-meta">
+          <span class="history-actor">${escapeHtml(entry.actor)}</span>
+          <span class="history-time" title="${escapeHtml(new Date(entry.timestamp).toLocaleString())}">
+            ${timeAgo(entry.timestamp)}
+          </span>
+        </div>
+        <div class="history-changes">${summary}</div>
+      </div>
+    `;
+  }
+
+  async function loadTaskHistory(taskId) {
+    const container = document.getElementById('detailHistory');
+
+    try {
+      const entries = await api.getTaskHistory(taskId);
+
+      // The modal may have been switched to another task while loading
+      if (document.getElementById('detailBody').dataset.taskId !== taskId) return;
+
+      if (entries.length === 0) {
+        container.innerHTML = '<span class="text-muted">No recorded changes</span>';
+        return;
+      }
+
+      // Newest first
+      container.innerHTML = entries.slice().reverse().map(renderHistoryEntry).join('');
+    } catch (error) {
+      container.innerHTML = '<span class="text-muted">History unavailable</span>';
+    }
   }
 
   async function handleDeleteTask() {
@@ -644,16 +1737,24 @@
 
     if (!taskId) return;
 
-    if (!confirm('Delete this task? This action cannot be undone.')) {
+    if (!confirm('Delete this task? It goes to the trash, and Ctrl+Z brings it back.')) {
       return;
     }
 
+    const task = state.tasks.find(t => t.id === taskId);
+
     try {
-      await api.deleteTask(taskId);
-      showToast('Task deleted successfully', 'success');
+      await api.deleteTask(taskId, task && task.version);
+      pushUndo({ type: 'delete', label: `delete of "${task ? task.title : 'task'}"`, taskId });
+      showToast('Task moved to the trash', 'success');
       closeModal('detailModal');
       await fetchAndRender();
     } catch (error) {
+      if (error.status === 412) {
+        await handleStaleTask();
+        openTaskDetail(taskId);
+        return;
+      }
       console.error('Failed to delete task:', error);
     }
   }
@@ -674,8 +1775,54 @@
   const handleSearchInput = debounce((e) => {
     state.filters.search = e.target.value.trim();
     renderBoard();
+    updateSearchResults();
   }, 300);
 
+  // Ranked matches from the server's full-text index, shown under the search box
+  async function updateSearchResults() {
+    const panel = document.getElementById('searchResults');
+    const text = searchWords().join(' ');
+    if (!text) {
+      panel.hidden = true;
+      return;
+    }
+
+    try {
+      const { hits, total } = await api.search(text, 8);
+      if (searchWords().join(' ') !== text) return; // The search changed while waiting
+
+      panel.innerHTML = hits.length === 0
+        ? '<div class="search-results-empty">No matches</div>'
+        : hits.map(renderSearchHit).join('') +
+          (total > hits.length ? `<div class="search-results-empty">${total - hits.length} more…</div>` : '');
+      panel.hidden = false;
+    } catch (error) {
+      panel.hidden = true;
+    }
+  }
+
+  function renderSearchHit(hit) {
+    const column = getColumn(hit.task.status);
+    const { highlights } = hit;
+    const snippet = highlights.description || highlights.comments || (highlights.tags || []).join(', ');
+
+    return `
+      <div class="search-result" data-task-id="${escapeHtml(hit.task.id)}">
+        <div class="search-result-title">${highlights.title}</div>
+        ${snippet ? `<div class="search-result-snippet">${highlights.comments && !highlights.description ? '💬 ' : ''}${snippet}</div>` : ''}
+        <div class="search-result-meta">${escapeHtml(column ? column.label : hit.task.status)} · ${escapeHtml(hit.task.assignee || 'Unassigned')}</div>
+      </div>
+    `;
+  }
+
+  function handleSearchResultClick(e) {
+    const result = e.target.closest('.search-result');
+    if (!result) return;
+
+    document.getElementById('searchResults').hidden = true;
+    openTaskDetail(result.dataset.taskId);
+  }
+
   function handlePriorityFilter(e) {
     state.filters.priority = e.target.value;
     renderBoard();
@@ -687,20 +1834,102 @@
   }
 
   // ============================================================================
-  // CLEAR DONE
+  // ARCHIVE
   // ============================================================================
 
+  // Finished tasks leave the board but stay in the archive, where they can be restored
   async function handleClearDone() {
-    if (!confirm('Clear all completed tasks? This action cannot be undone.')) {
-      return;
+    try {
+      const { archived } = await api.archiveDone();
+      showToast(`${archived} completed task${archived === 1 ? '' : 's'} archived`, 'success');
+      await fetchAndRender();
+    } catch (error) {
+      console.error('Failed to archive done tasks:', error);
     }
+  }
+
+  async function handleArchiveTask() {
+    const taskId = document.getElementById('detailBody').dataset.taskId;
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
 
     try {
-      await api.clearDone();
-      showToast('Completed tasks cleared', 'success');
-      await fetchAndRender();
+      await api.archiveTask(taskId, task.version);
+      state.tasks = state.tasks.filter(t => t.id !== taskId);
+      closeModal('detailModal');
+      renderBoard();
+      showToast('Task archived', 'success');
+    } catch (error) {
+      if (error.status === 412) {
+        await handleStaleTask();
+        openTaskDetail(taskId);
+        return;
+      }
+      console.error('Failed to archive task:', error);
+    }
+  }
+
+  async function openArchive() {
+    showModal('archiveModal');
+    await refreshArchive();
+  }
+
+  async function handleArchiveTabClick(e) {
+    const tab = e.target.closest('[data-view]');
+    if (!tab) return;
+
+    state.archiveView = tab.dataset.view;
+    document.querySelectorAll('#archiveTabs [data-view]').forEach(button => {
+      button.classList.toggle('active', button === tab);
+    });
+    await refreshArchive();
+  }
+
+  // Reload the archive or trash list, if the modal is open
+  async function refreshArchive() {
+    if (!document.getElementById('archiveModal').classList.contains('active')) return;
+
+    const inTrash = state.archiveView === 'trash';
+    const list = document.getElementById('archiveList');
+    try {
+      const records = inTrash ? await api.getTrash() : await api.getArchivedTasks();
+      list.innerHTML = records.length === 0
+        ? `<span class="text-muted">${inTrash ? 'The trash is empty' : 'No archived tasks'}</span>`
+        : records.map(task => `
+          <div class="archive-item">
+            <div>
+              <div class="archive-item-title">${escapeHtml(task.title)}</div>
+              <div class="archive-item-meta">
+                ${escapeHtml(getColumn(task.status) ? getColumn(task.status).label : task.status)} ·
+                ${escapeHtml(task.assignee || 'Unassigned')} ·
+                ${inTrash
+                  ? `deleted ${timeAgo(task.deleted_at)} by ${escapeHtml(task.deleted_by)}`
+                  : `archived ${timeAgo(task.archived_at)}`}
+              </div>
+            </div>
+            <button class="btn btn-small btn-ghost" data-restore-id="${escapeHtml(task.id)}">Restore</button>
+          </div>
+        `).join('');
+    } catch (error) {
+      list.innerHTML = `<span class="text-muted">${inTrash ? 'Trash' : 'Archive'} unavailable</span>`;
+    }
+  }
+
+  async function handleRestoreClick(e) {
+    const button = e.target.closest('[data-restore-id]');
+    if (!button) return;
+
+    button.disabled = true;
+    try {
+      const id = button.dataset.restoreId;
+      const task = state.archiveView === 'trash' ? await api.restoreDeletedTask(id) : await api.restoreTask(id);
+      if (!state.tasks.find(t => t.id === task.id)) state.tasks.push(task);
+      renderBoard();
+      showToast(`Restored "${task.title}"`, 'success');
+      await refreshArchive();
     } catch (error) {
-      console.error('Failed to clear done tasks:', error);
+      button.disabled = false;
+      console.error('Failed to restore task:', error);
     }
   }
 
@@ -720,24 +1949,81 @@
     localStorage.setItem('theme', newTheme);
   }
 
+  // ============================================================================
+  // UNDO
+  // ============================================================================
+
+  // Undo runs the reverse action through the API, so every client sees it over
+  // the WebSocket like any other change. Each entry carries the version its
+  // action produced; if the task changed since, the undo is refused.
+  const UNDO_LIMIT = 20;
+
+  function pushUndo(action) {
+    state.undoStack.push(action);
+    if (state.undoStack.length > UNDO_LIMIT) state.undoStack.shift();
+  }
+
+  async function undoLastAction() {
+    const action = state.undoStack.pop();
+    if (!action) {
+      showToast('Nothing to undo', 'info');
+      return;
+    }
+
+    try {
+      if (action.type === 'move') {
+        await api.moveTask(action.taskId, action.status, { order: action.order }, action.version);
+      } else if (action.type === 'edit') {
+        await api.updateTask(action.taskId, action.fields, action.version);
+      } else if (action.type === 'delete') {
+        await api.restoreDeletedTask(action.taskId);
+      }
+      showToast(`Undid ${action.label}`, 'success');
+      await fetchAndRender();
+    } catch (error) {
+      if (error.status === 404) {
+        // Purged from the trash, or deleted for good
+        showToast(`Can't undo ${action.label}: the task no longer exists`, 'warning');
+        await fetchAndRender();
+        return;
+      }
+      if (error.status === 412 || error.status === 409) {
+        showToast(`Can't undo ${action.label}: the task was changed since`, 'warning');
+        await fetchAndRender();
+        return;
+      }
+      console.error('Failed to undo:', error);
+    }
+  }
+
   // ============================================================================
   // KEYBOARD SHORTCUTS
   // ============================================================================
 
   function handleKeyboardShortcuts(e) {
-    // Escape - close modals
+    const focusedInput = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+
+    // Ctrl+Z / Cmd+Z - undo the last move, edit or delete (inputs keep their own undo)
+    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z') {
+      if (!focusedInput && !document.querySelector('.modal-overlay.active')) {
+        e.preventDefault();
+        undoLastAction();
+      }
+      return;
+    }
+
+    // Escape - close modals and search results
     if (e.key === 'Escape') {
       closeModal('taskModal');
       closeModal('detailModal');
+      closeModal('archiveModal');
+      document.getElementById('searchResults').hidden = true;
       return;
     }
 
     // N - new task (when not focused on input and no modal is open)
     if (e.key === 'n' || e.key === 'N') {
       const activeModal = document.querySelector('.modal-overlay.active');
-      const focusedInput = document.activeElement.tagName === 'INPUT' ||
-                          document.activeElement.tagName === 'TEXTAREA' ||
-                          document.activeElement.tagName === 'SELECT';
 
       if (!activeModal && !focusedInput) {
         openNewTaskModal();
@@ -753,6 +2039,10 @@
     // Add task button
     document.getElementById('addTaskBtn').addEventListener('click', openNewTaskModal);
 
+    // Board switcher
+    document.getElementById('boardSelect').addEventListener('change', (e) => switchBoard(e.target.value));
+    document.getElementById('addBoardBtn').addEventListener('click', handleAddBoard);
+
     // Task form
     document.getElementById('taskForm').addEventListener('submit', handleTaskFormSubmit);
     document.getElementById('modalCancel').addEventListener('click', () => closeModal('taskModal'));
@@ -762,15 +2052,37 @@
     document.getElementById('detailClose').addEventListener('click', () => closeModal('detailModal'));
     document.getElementById('detailEdit').addEventListener('click', handleEditFromDetail);
     document.getElementById('detailDelete').addEventListener('click', handleDeleteTask);
+    document.getElementById('detailArchive').addEventListener('click', handleArchiveTask);
+
+    // Archive view
+    document.getElementById('archiveBtn').addEventListener('click', openArchive);
+    document.getElementById('archiveClose').addEventListener('click', () => closeModal('archiveModal'));
+    document.getElementById('archiveList').addEventListener('click', handleRestoreClick);
+    document.getElementById('archiveTabs').addEventListener('click', handleArchiveTabClick);
+    document.getElementById('archiveModal').addEventListener('click', (e) => {
+      if (e.target.id === 'archiveModal') {
+        closeModal('archiveModal');
+      }
+    });
+    document.getElementById('detailBody').addEventListener('submit', handleCommentSubmit);
+    document.getElementById('detailBody').addEventListener('submit', handleChecklistSubmit);
+    document.getElementById('detailBody').addEventListener('change', handleChecklistChange);
+    document.getElementById('detailBody').addEventListener('click', handleChecklistChange);
+    document.getElementById('detailBody').addEventListener('click', handleCommentDelete);
+    document.getElementById('detailBody').addEventListener('click', (e) => {
+      const blockerLink = e.target.closest('.blocker-link');
+      if (blockerLink) openTaskDetail(blockerLink.dataset.taskId);
+    });
 
     // Filters and search
     document.getElementById('searchInput').addEventListener('input', handleSearchInput);
+    document.getElementById('searchResults').addEventListener('click', handleSearchResultClick);
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.search-bar')) document.getElementById('searchResults').hidden = true;
+    });
     document.getElementById('filterPriority').addEventListener('change', handlePriorityFilter);
     document.getElementById('filterAssignee').addEventListener('change', handleAssigneeFilter);
 
-    // Clear done
-    document.getElementById('clearDoneBtn').addEventListener('click', handleClearDone);
-
     // Theme toggle
     document.getElementById('themeToggle').addEventListener('click', toggleTheme);
 
@@ -786,8 +2098,19 @@
     board.addEventListener('dragleave', handleDragLeave);
     board.addEventListener('drop', handleDrop);
 
-    // Card click for detail view - event delegation
+    // Card click for detail view and the Clear button - event delegation
     board.addEventListener('click', (e) => {
+      if (e.target.closest('#clearDoneBtn')) {
+        handleClearDone();
+        return;
+      }
+
+      const blockerLink = e.target.closest('.blocker-link');
+      if (blockerLink) {
+        openTaskDetail(blockerLink.dataset.taskId);
+        return;
+      }
+
       const card = e.target.closest('.task-card');
       if (card && !card.classList.contains('dragging')) {
         const taskId = card.dataset.taskId;
@@ -817,7 +2140,9 @@
 
   async function fetchAndRender() {
     try {
+      const boardId = state.boardId;
       const tasks = await api.getTasks();
+      if (boardId !== state.boardId) return; // switched boards while loading
       state.tasks = tasks;
       renderBoard();
     } catch (error) {
@@ -825,11 +2150,12 @@
     }
   }
 
-  function init() {
+  async function init() {
     loadTheme();
+    bindEvents();
+    await fetchBoards();
     connectWebSocket();
     fetchAndRender();
-    bindEvents();
   }
 
   // Start the app when DOM is ready
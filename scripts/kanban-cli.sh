@@ -3,19 +3,47 @@
 # Usage: ./kanban-cli.sh <command> [args...]
 #
 # Commands:
-#   list [status]              - List all tasks, optionally filtered by status
+#   list [status]              - List all tasks, optionally filtered by column
 #   get <id>                   - Get a single task
 #   add <title> [options]      - Create a new task
 #   update <id> <json>         - Update a task
 #   move <id> <status>         - Move a task to a new column
-#   delete <id>               - Delete a task
+#   delete <id>               - Move a task to the trash
+#   claim <id> [ttl]          - Claim a task for ttl seconds (default 300)
+#   claim-next [status] [ttl] - Claim the most urgent unclaimed task (default: todo)
+#   renew <id> [ttl]          - Extend your claim on a task
+#   release <id>              - Give a claimed task back
+#   activity <id> [text]      - Report working on a task (repeat within 2 minutes)
+#   activity-clear <id>       - Stop reporting work on a task
+#   who                       - Show who is on the board and what agents are doing
+#   time-start <id> [note]    - Start your timer on a task
+#   time-stop <id> [note]     - Stop your timer on a task
+#   time <id>                 - Show the time logged on a task
+#   trash                     - List deleted tasks
+#   undelete <id>             - Restore a task from the trash
 #   stats                     - Show board statistics
+#   metrics [days]            - Show lead/cycle time, throughput and WIP age (default: 30 days)
 #   search <query>            - Search tasks by title/description
-#   clear-done                - Remove all completed tasks
+#   clear-done                - Archive all completed tasks
+#   archive <id>              - Archive a completed task
+#   restore <id>              - Bring an archived task back to the board
+#   archived                  - List archived tasks
 #   board                     - Show a text-based board summary
+#   history <id>              - Show the change log of a task
+#   comment <id> <text>       - Add a progress note to a task
+#   comments <id>             - Show the comment thread of a task
+#   boards                    - List boards
+#   board-create <name>       - Create a board
+#   export <format> [file]    - Export tasks as csv, markdown or json
+#   import <file> [--dry-run] - Import tasks from a csv, markdown or json file
+#   watch                     - Print board events as they happen
+#   changes [cursor]          - Wait for events after a cursor (JSON)
 #
 # Environment:
-#   KANBAN_URL - Base URL (default: http://localhost:3000)
+#   KANBAN_URL   - Base URL (default: http://localhost:3000)
+#   KANBAN_ACTOR - Name recorded in task history (default: OpenClaw)
+#   KANBAN_TOKEN - API key, required when the server has authentication enabled
+#   KANBAN_BOARD - Board ID to work on (default: the default board)
 #
 # Examples:
 #   ./kanban-cli.sh add "Fix login bug" --priority high --status todo --assignee OpenClaw --tags "bug,auth"
@@ -29,6 +57,16 @@ set -euo pipefail
 
 KANBAN_URL="${KANBAN_URL:-http://localhost:3000}"
 API="${KANBAN_URL}/api"
+KANBAN_ACTOR="${KANBAN_ACTOR:-OpenClaw}"
+KANBAN_TOKEN="${KANBAN_TOKEN:-}"
+KANBAN_BOARD="${KANBAN_BOARD:-}"
+
+# Task and stats routes are scoped to a board; unscoped routes use the default board
+if [ -n "$KANBAN_BOARD" ]; then
+  BOARD_API="${API}/boards/${KANBAN_BOARD}"
+else
+  BOARD_API="${API}"
+fi
 
 # Colors for terminal output
 RED='\033[0;31m'
@@ -40,6 +78,15 @@ CYAN='\033[0;36m'
 NC='\033[0m' # No Color
 BOLD='\033[1m'
 
+# curl wrapper that authenticates and identifies the caller
+api_curl() {
+  if [ -n "$KANBAN_TOKEN" ]; then
+    curl -s -H "Authorization: Bearer ${KANBAN_TOKEN}" "$@"
+  else
+    curl -s -H "X-Actor: ${KANBAN_ACTOR}" "$@"
+  fi
+}
+
 # Priority colors
 priority_color() {
   case "$1" in
@@ -51,27 +98,31 @@ priority_color() {
   esac
 }
 
-# Status icons
+# Columns of the current board as "id<TAB>icon<TAB>label" lines, in display order
+board_columns() {
+  api_curl "${BOARD_API}/columns" | python3 -c "
+import sys, json
+for c in json.load(sys.stdin):
+    print(f'{c[\"id\"]}\t{c.get(\"icon\") or \"▪\"}\t{c[\"label\"]}')
+"
+}
+
+# Status icons, taken from the board's column definitions
 status_icon() {
-  case "$1" in
-    backlog)     echo "📋" ;;
-    todo)        echo "📝" ;;
-    in_progress) echo "⚡" ;;
-    review)      echo "🔍" ;;
-    done)        echo "✅" ;;
-    *)           echo "❓" ;;
-  esac
+  local icon
+  icon=$(board_columns | awk -F'\t' -v id="$1" '$1 == id { print $2 }')
+  echo "${icon:-❓}"
 }
 
 cmd_list() {
   local status="${1:-}"
-  local url="${API}/tasks"
+  local url="${BOARD_API}/tasks"
   if [ -n "$status" ]; then
     url="${url}?status=${status}"
   fi
 
   local tasks
-  tasks=$(curl -s "$url")
+  tasks=$(api_curl "$url")
 
   echo "$tasks" | python3 -c "
 import sys, json
@@ -85,15 +136,30 @@ for t in tasks:
     title = t.get('title', 'Untitled')
     assignee = t.get('assignee', 'Unassigned')
     task_id = t.get('id', '?')[:8]
+    due = f' | Due: {t[\"due_at\"]}' if t.get('due_at') else ''
     print(f'  [{priority:8s}] {title}')
-    print(f'           Status: {status} | Assignee: {assignee} | ID: {task_id}...')
+    print(f'           Status: {status} | Assignee: {assignee}{due} | ID: {task_id}...')
+    print()
+"
+}
+
+cmd_overdue() {
+  api_curl "${BOARD_API}/tasks?overdue=true" | python3 -c "
+import sys, json
+tasks = json.load(sys.stdin)
+if not tasks:
+    print('  Nothing overdue.')
+    sys.exit(0)
+for t in sorted(tasks, key=lambda t: t['due_at']):
+    print(f'  [{t[\"priority\"].upper():8s}] {t[\"title\"]}')
+    print(f'           Due: {t[\"due_at\"]} | {t[\"status\"]} | {t[\"id\"][:8]}...')
     print()
 "
 }
 
 cmd_get() {
   local id="$1"
-  curl -s "${API}/tasks/${id}" | python3 -m json.tool
+  api_curl "${BOARD_API}/tasks/${id}" | python3 -m json.tool
 }
 
 cmd_add() {
@@ -103,9 +169,12 @@ cmd_add() {
   # Parse optional flags
   local priority="medium"
   local status="backlog"
-  local assignee="OpenClaw"
+  local assignee=""
   local description=""
   local tags="[]"
+  local checklist="[]"
+  local blocked_by="[]"
+  local due=""
 
   while [[ $# -gt 0 ]]; do
     case "$1" in
@@ -113,14 +182,41 @@ cmd_add() {
       --status|-s) status="$2"; shift 2 ;;
       --assignee|-a) assignee="$2"; shift 2 ;;
       --description|-d) description="$2"; shift 2 ;;
+      --due) due="$2"; shift 2 ;;
       --tags|-t)
         # Convert comma-separated to JSON array
         tags=$(echo "$2" | python3 -c "import sys; print('[' + ','.join(['\"' + t.strip() + '\"' for t in sys.stdin.read().strip().split(',')]) + ']')")
         shift 2 ;;
+      --checklist|-c)
+        checklist=$(echo "$2" | python3 -c "import sys, json; print(json.dumps([i.strip() for i in sys.stdin.read().split(';') if i.strip()]))")
+        shift 2 ;;
+      --blocked-by|-b)
+        blocked_by=$(echo "$2" | python3 -c "import sys, json; print(json.dumps([i.strip() for i in sys.stdin.read().split(',') if i.strip()]))")
+        shift 2 ;;
       *) shift ;;
     esac
   done
 
+  # Without --assignee, the server assigns the API key's identity;
+  # without a key, fall back to the actor name
+  local assignee_field=""
+  if [ -n "$assignee" ]; then
+    assignee_field="\"assignee\": \"${assignee}\","
+  elif [ -z "$KANBAN_TOKEN" ]; then
+    assignee_field="\"assignee\": \"${KANBAN_ACTOR}\","
+  fi
+
+  # --due takes anything `date -d` understands ("tomorrow 17:00", "2026-03-01")
+  local due_field=""
+  if [ -n "$due" ]; then
+    local due_iso
+    due_iso=$(date -u -d "$due" +%Y-%m-%dT%H:%M:%SZ 2>/dev/null) || {
+      echo -e "${RED}✗ Invalid --due date:${NC} ${due}"
+      exit 1
+    }
+    due_field="\"due_at\": \"${due_iso}\","
+  fi
+
   local body
   body=$(cat <<EOF
 {
@@ -128,19 +224,26 @@ cmd_add() {
   "description": "${description}",
   "status": "${status}",
   "priority": "${priority}",
-  "assignee": "${assignee}",
+  ${assignee_field}
+  ${due_field}
+  "blocked_by": ${blocked_by},
+  "checklist": ${checklist},
   "tags": ${tags}
 }
 EOF
 )
 
   local result
-  result=$(curl -s -X POST "${API}/tasks" \
+  result=$(api_curl -X POST "${BOARD_API}/tasks" \
     -H "Content-Type: application/json" \
     -d "$body")
 
   local new_id
-  new_id=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['id'])")
+  new_id=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['id'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Create failed:${NC} ${result}"
+    exit 1
+  }
+  assignee=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['assignee'] or 'Unassigned')")
 
   echo -e "${GREEN}✓ Task created:${NC} ${title}"
   echo -e "  ID: ${new_id}"
@@ -151,7 +254,7 @@ cmd_update() {
   local id="$1"
   local json_data="$2"
 
-  curl -s -X PATCH "${API}/tasks/${id}" \
+  api_curl -X PATCH "${BOARD_API}/tasks/${id}" \
     -H "Content-Type: application/json" \
     -d "$json_data" | python3 -m json.tool
 }
@@ -161,64 +264,350 @@ cmd_move() {
   local new_status="$2"
 
   local result
-  result=$(curl -s -X POST "${API}/tasks/${id}/move" \
+  result=$(api_curl -X POST "${BOARD_API}/tasks/${id}/move" \
     -H "Content-Type: application/json" \
     -d "{\"status\": \"${new_status}\"}")
 
   local title
-  title=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['title'])" 2>/dev/null || echo "Task")
+  title=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['title'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Move failed:${NC} ${result}"
+    exit 1
+  }
 
   echo -e "${GREEN}✓ Moved:${NC} ${title} → $(status_icon "$new_status") ${new_status}"
 }
 
+# claim, claim-next, renew and release: POST to the route, print the task and its lease
+cmd_claim() {
+  local action="$1"
+  local path="$2"
+  local ttl="${3:-}"
+  local status="${4:-}"
+
+  local body
+  body=$(python3 -c "
+import sys, json
+ttl, status = sys.argv[1:]
+data = {}
+if ttl:
+    data['ttl_seconds'] = int(ttl)
+if status:
+    data['status'] = status
+print(json.dumps(data))
+" "$ttl" "$status")
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/${path}" \
+    -H "Content-Type: application/json" \
+    -d "$body")
+
+  local summary
+  summary=$(echo "$result" | python3 -c "
+import sys, json
+task = json.load(sys.stdin)
+lease = task['lease']
+until = f' until {lease[\"expires_at\"]}' if lease else ''
+print(f'{task[\"title\"]} [{task[\"status\"]}]{until}  ID: {task[\"id\"]}')
+" 2>/dev/null) || {
+    echo -e "${RED}✗ ${action^} failed:${NC} ${result}"
+    exit 1
+  }
+
+  case "$action" in
+    claim)   echo -e "${GREEN}✓ Claimed:${NC} ${summary}" ;;
+    renew)   echo -e "${GREEN}✓ Renewed:${NC} ${summary}" ;;
+    release) echo -e "${GREEN}✓ Released:${NC} ${summary}" ;;
+  esac
+}
+
+cmd_activity() {
+  local id="$1"
+  local text="${2:-}"
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/tasks/${id}/activity" \
+    -H "Content-Type: application/json" \
+    -d "$(python3 -c "import sys, json; print(json.dumps({'text': sys.argv[1]}))" "$text")")
+
+  echo "$result" | python3 -c "import sys, json; json.load(sys.stdin)['task_id']" 2>/dev/null || {
+    echo -e "${RED}✗ Activity failed:${NC} ${result}"
+    exit 1
+  }
+  echo -e "${GREEN}✓ Working on${NC} ${id}${text:+: ${text}}"
+}
+
+cmd_activity_clear() {
+  local id="$1"
+  api_curl -X DELETE "${BOARD_API}/tasks/${id}/activity" > /dev/null
+  echo -e "${GREEN}✓ Stopped working on${NC} ${id}"
+}
+
+cmd_who() {
+  local tasks
+  tasks=$(api_curl "${BOARD_API}/tasks")
+  api_curl "${BOARD_API}/presence" | python3 -c "
+import sys, json
+clients = json.load(sys.stdin)
+titles = {t['id']: t['title'] for t in json.loads(sys.argv[1])}
+if not clients:
+    print('  Nobody is on this board')
+for c in clients:
+    icon = '🤖' if c['kind'] == 'agent' else '👤'
+    online = f'{c[\"connections\"]} connection(s)' if c['connections'] else 'via API'
+    print(f'  {icon} {c[\"name\"]} ({online})')
+    a = c['activity']
+    if a:
+        text = f' - {a[\"text\"]}' if a['text'] else ''
+        print(f'       ⚡ {titles.get(a[\"task_id\"], a[\"task_id\"])}{text}')
+" "$tasks"
+}
+
+# Seconds -> "1h 05m" style, for the time and metrics commands
+PY_DURATION='
+def duration(seconds):
+    if seconds is None:
+        return "-"
+    minutes = round(seconds / 60)
+    if minutes < 60:
+        return f"{minutes}m"
+    hours, minutes = divmod(minutes, 60)
+    if hours < 48:
+        return f"{hours}h {minutes:02d}m"
+    return f"{hours // 24}d {hours % 24}h"
+'
+
+# time-start and time-stop: POST to the timer route, print the entry
+cmd_timer() {
+  local action="$1"
+  local id="$2"
+  local note="${3:-}"
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/tasks/${id}/time/${action}" \
+    -H "Content-Type: application/json" \
+    -d "$(python3 -c "
+import sys, json
+print(json.dumps({'note': sys.argv[1]} if sys.argv[1] else {}))
+" "$note")")
+
+  local started
+  started=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['started_at'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Timer ${action} failed:${NC} ${result}"
+    exit 1
+  }
+
+  if [ "$action" = "start" ]; then
+    echo -e "${GREEN}✓ Timer started${NC} on ${id}${note:+: ${note}}"
+  else
+    local spent
+    spent=$(echo "$result" | python3 -c "$PY_DURATION
+import sys, json
+from datetime import datetime
+e = json.load(sys.stdin)
+parse = lambda s: datetime.fromisoformat(s.replace('Z', '+00:00'))
+print(duration((parse(e['stopped_at']) - parse(e['started_at'])).total_seconds()))
+")
+    echo -e "${GREEN}✓ Timer stopped${NC} on ${id} after ${spent}"
+  fi
+}
+
+cmd_time() {
+  local id="$1"
+  api_curl "${BOARD_API}/tasks/${id}/time" | python3 -c "$PY_DURATION
+import sys, json
+t = json.load(sys.stdin)
+if 'error' in t:
+    print(f'  {t[\"error\"]}')
+    sys.exit(1)
+print(f'  ⏱  Total: {duration(t[\"total_seconds\"])}')
+for e in t['entries']:
+    end = e['stopped_at'] or 'running'
+    note = f' - {e[\"note\"]}' if e['note'] else ''
+    print(f'     {e[\"actor\"]}: {e[\"started_at\"]} → {end}{note}')
+"
+}
+
 cmd_delete() {
   local id="$1"
-  curl -s -X DELETE "${API}/tasks/${id}" > /dev/null
-  echo -e "${GREEN}✓ Task deleted${NC}"
+  api_curl -X DELETE "${BOARD_API}/tasks/${id}" > /dev/null
+  echo -e "${GREEN}✓ Task moved to the trash${NC} (undelete ${id} to restore it)"
 }
 
-cmd_stats() {
-  curl -s "${API}/stats" | python3 -c "
+cmd_trash() {
+  api_curl "${BOARD_API}/trash" | python3 -c "
 import sys, json
+records = json.load(sys.stdin)
+if not records:
+    print('  The trash is empty.')
+    sys.exit(0)
+for t in records:
+    print(f'  [{t[\"priority\"].upper():8s}] {t[\"title\"]}')
+    print(f'           Deleted: {t[\"deleted_at\"]} by {t[\"deleted_by\"]} | {t[\"id\"]}')
+    print()
+"
+}
+
+cmd_undelete() {
+  local id="$1"
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/trash/${id}/restore")
+
+  local title
+  title=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['title'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Restore failed:${NC} ${result}"
+    exit 1
+  }
+
+  echo -e "${GREEN}✓ Restored:${NC} ${title}"
+}
+
+cmd_stats() {
+  local columns
+  columns=$(api_curl "${BOARD_API}/columns")
+
+  api_curl "${BOARD_API}/stats" | COLUMNS_JSON="$columns" python3 -c "
+import sys, json, os
 s = json.load(sys.stdin)
+columns = json.loads(os.environ['COLUMNS_JSON'])
 print(f'  📊 Total: {s[\"total\"]} tasks')
 print()
 bs = s['byStatus']
-print(f'  📋 Backlog:     {bs[\"backlog\"]}')
-print(f'  📝 To Do:       {bs[\"todo\"]}')
-print(f'  ⚡ In Progress: {bs[\"in_progress\"]}')
-print(f'  🔍 Review:      {bs[\"review\"]}')
-print(f'  ✅ Done:        {bs[\"done\"]}')
+for c in columns:
+    label = c['label'] + ':'
+    print(f'  {c.get(\"icon\") or \"▪\"} {label:13s}{bs.get(c[\"id\"], 0)}')
 print()
 bp = s['byPriority']
 print(f'  🔴 Critical: {bp[\"critical\"]}  🟡 High: {bp[\"high\"]}  🔵 Medium: {bp[\"medium\"]}  🟢 Low: {bp[\"low\"]}')
 print(f'  ⏰ Done (24h): {s[\"recentlyCompleted\"]}')
+print(f'  🗄  Archived: {s[\"archived\"]}')
+"
+}
+
+cmd_metrics() {
+  local days="${1:-30}"
+  api_curl -G "${BOARD_API}/metrics" --data-urlencode "days=${days}" | python3 -c "$PY_DURATION
+import sys, json
+m = json.load(sys.stdin)
+if 'error' in m:
+    print(f'  {m[\"error\"]}')
+    sys.exit(1)
+
+def show(m, indent):
+    lead, cycle, wip = m['lead_time'], m['cycle_time'], m['wip_age']
+    print(f'{indent}✅ Finished: {m[\"throughput\"][\"finished\"]} ({m[\"throughput\"][\"per_day\"]}/day)')
+    print(f'{indent}⏳ Lead time:  median {duration(lead[\"median_seconds\"])}, 85% within {duration(lead[\"p85_seconds\"])}')
+    print(f'{indent}⚡ Cycle time: median {duration(cycle[\"median_seconds\"])}, 85% within {duration(cycle[\"p85_seconds\"])}')
+    oldest = f', oldest started {duration(wip[\"oldest\"][0][\"age_seconds\"])} ago' if wip['oldest'] else ''
+    print(f'{indent}🚧 In progress: {wip[\"count\"]}{oldest}')
+    print(f'{indent}⏱  Tracked: {duration(m[\"tracked_seconds\"])}')
+
+print(f'  📈 Last {m[\"days\"]} days')
+show(m, '  ')
+print()
+print('  Average time in column:')
+for column, s in m['time_in_column'].items():
+    print(f'    {column:13s}{duration(s[\"avg_seconds\"])}')
+for a in m['by_assignee']:
+    print()
+    print(f'  👤 {a[\"assignee\"] or \"Unassigned\"}')
+    show(a, '    ')
 "
 }
 
 cmd_search() {
   local query="$1"
-  curl -s "${API}/tasks?search=${query}" | python3 -c "
+  api_curl -G "${BOARD_API}/search" --data-urlencode "q=${query}" | python3 -c "
+import sys, json, re, html
+result = json.load(sys.stdin)
+if 'error' in result:
+    print(f'  {result[\"error\"]}')
+    sys.exit(1)
+if not result['hits']:
+    print('  No results found.')
+    sys.exit(0)
+
+# Highlights come back as HTML with <mark> around matched words
+def bold(text):
+    return html.unescape(re.sub(r'</?mark>', lambda m: '\\033[0m' if m.group(0) == '</mark>' else '\\033[1m', text))
+
+print(f'  Found {result[\"total\"]} result(s):')
+print()
+for hit in result['hits']:
+    t, h = hit['task'], hit['highlights']
+    print(f'  [{t[\"priority\"].upper():8s}] {bold(h[\"title\"])}')
+    snippet = h.get('description') or h.get('comments')
+    if snippet:
+        print(f'           {bold(snippet)}')
+    print(f'           {t[\"status\"]} | {t[\"id\"][:8]}... | score {hit[\"score\"]}')
+    print()
+"
+}
+
+# Query language, e.g. query 'tag:finance AND priority>=high' -priority
+cmd_query() {
+  local query="$1"
+  local sort="${2:-}"
+
+  api_curl -G "${BOARD_API}/tasks" --data-urlencode "q=${query}" ${sort:+--data-urlencode "sort=${sort}"} | python3 -c "
 import sys, json
 tasks = json.load(sys.stdin)
+if isinstance(tasks, dict):
+    print(f'  {tasks.get(\"error\", \"Unknown error\")}')
+    sys.exit(1)
 if not tasks:
-    print('  No results found.')
+    print('  No matching tasks.')
     sys.exit(0)
-print(f'  Found {len(tasks)} result(s):')
+print(f'  {len(tasks)} matching task(s):')
 print()
 for t in tasks:
     print(f'  [{t[\"priority\"].upper():8s}] {t[\"title\"]}')
-    print(f'           {t[\"status\"]} | {t[\"id\"][:8]}...')
+    print(f'           {t[\"status\"]} | {t[\"assignee\"] or \"Unassigned\"} | {t[\"id\"][:8]}...')
     print()
 "
 }
 
 cmd_clear_done() {
   local result
-  result=$(curl -s -X DELETE "${API}/tasks?status=done")
+  result=$(api_curl -X POST "${BOARD_API}/tasks/archive")
   local count
-  count=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['deleted'])")
-  echo -e "${GREEN}✓ Cleared ${count} completed task(s)${NC}"
+  count=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['archived'])")
+  echo -e "${GREEN}✓ Archived ${count} completed task(s)${NC}"
+}
+
+# archive <id> / restore <id>
+cmd_archive() {
+  local id="$1"
+  local action="$2"
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/tasks/${id}/${action}")
+
+  local title
+  title=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['title'])" 2>/dev/null) || {
+    echo -e "${RED}✗ ${action^} failed:${NC} ${result}"
+    exit 1
+  }
+
+  if [ "$action" = "archive" ]; then
+    echo -e "${GREEN}✓ Archived:${NC} ${title}"
+  else
+    echo -e "${GREEN}✓ Restored:${NC} ${title}"
+  fi
+}
+
+cmd_archived() {
+  api_curl "${BOARD_API}/tasks?archived=true&sort=-updated" | python3 -c "
+import sys, json
+tasks = json.load(sys.stdin)
+if not tasks:
+    print('  The archive is empty.')
+    sys.exit(0)
+for t in tasks:
+    print(f'  [{t[\"priority\"].upper():8s}] {t[\"title\"]}')
+    print(f'           Archived: {t[\"archived_at\"]} | {t[\"status\"]} | {t[\"id\"][:8]}...')
+    print()
+"
 }
 
 cmd_board() {
@@ -227,20 +616,12 @@ cmd_board() {
   echo -e "${BOLD}═══════════════════════════════════════════════════════════${NC}"
   echo
 
-  for status in backlog todo in_progress review done; do
-    local icon
-    icon=$(status_icon "$status")
-    local label
-    case "$status" in
-      backlog)     label="BACKLOG" ;;
-      todo)        label="TO DO" ;;
-      in_progress) label="IN PROGRESS" ;;
-      review)      label="REVIEW" ;;
-      done)        label="DONE" ;;
-    esac
+  local status icon label
+  while IFS=$'\t' read -r status icon label; do
+    label=$(echo "$label" | tr '[:lower:]' '[:upper:]')
 
     local tasks
-    tasks=$(curl -s "${API}/tasks?status=${status}")
+    tasks=$(api_curl "${BOARD_API}/tasks?status=${status}")
     local count
     count=$(echo "$tasks" | python3 -c "import sys, json; print(len(json.load(sys.stdin)))")
 
@@ -262,7 +643,374 @@ else:
         print(f'     └─ {a} | {t[\"id\"][:8]}...')
 "
     echo
+  done < <(board_columns)
+}
+
+cmd_history() {
+  local id="$1"
+  api_curl "${BOARD_API}/tasks/${id}/history" | python3 -c "
+import sys, json
+entries = json.load(sys.stdin)
+if isinstance(entries, dict):
+    print(f'  {entries.get(\"error\", \"Unknown error\")}')
+    sys.exit(1)
+if not entries:
+    print('  No recorded changes.')
+    sys.exit(0)
+for e in entries:
+    print(f'  {e[\"timestamp\"]}  {e[\"actor\"]} {e[\"action\"]}')
+    if e['action'] in ('updated', 'moved'):
+        for c in e['changes']:
+            print(f'           {c[\"field\"]}: {c[\"old\"]} → {c[\"new\"]}')
+"
+}
+
+cmd_deps() {
+  local id="$1"
+  api_curl "${BOARD_API}/tasks/${id}/dependencies" | python3 -c "
+import sys, json
+graph = json.load(sys.stdin)
+if 'error' in graph:
+    print(f'  {graph[\"error\"]}')
+    sys.exit(1)
+nodes = {n['id']: n for n in graph['nodes']}
+def line(node_id):
+    n = nodes[node_id]
+    mark = '✓' if n['finished'] else '·'
+    return f'    {mark} {n[\"title\"]} [{n[\"status\"]}] {node_id[:8]}...'
+print('  BLOCKED' if graph['blocked'] else '  Not blocked')
+print('  Blocked by:')
+print('\\n'.join(line(i) for i in graph['blocked_by']) or '    (nothing)')
+print('  Blocks:')
+print('\\n'.join(line(i) for i in graph['blocks']) or '    (nothing)')
+"
+}
+
+cmd_comment() {
+  local id="$1"
+  local text="$2"
+
+  # Build the JSON body in python so quotes and newlines are escaped
+  local body
+  body=$(python3 -c "import sys, json; print(json.dumps({'text': sys.argv[1]}))" "$text")
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/tasks/${id}/comments" \
+    -H "Content-Type: application/json" \
+    -d "$body")
+
+  local author
+  author=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['author'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Failed to add comment:${NC} ${result}"
+    exit 1
+  }
+
+  echo -e "${GREEN}✓ Comment added${NC} by ${author}"
+}
+
+cmd_comments() {
+  local id="$1"
+  api_curl "${BOARD_API}/tasks/${id}/comments" | python3 -c "
+import sys, json
+comments = json.load(sys.stdin)
+if isinstance(comments, dict):
+    print(f'  {comments.get(\"error\", \"Unknown error\")}')
+    sys.exit(1)
+if not comments:
+    print('  No comments.')
+    sys.exit(0)
+for c in comments:
+    print(f'  {c[\"created_at\"]}  {c[\"author\"]}:')
+    for line in c['text'].splitlines():
+        print(f'    {line}')
+    print()
+"
+}
+
+cmd_checklist() {
+  local id="$1"
+  api_curl "${BOARD_API}/tasks/${id}/checklist" | python3 -c "
+import sys, json
+items = json.load(sys.stdin)
+if isinstance(items, dict):
+    print(f'  {items.get(\"error\", \"Unknown error\")}')
+    sys.exit(1)
+if not items:
+    print('  No checklist items.')
+    sys.exit(0)
+for n, item in enumerate(items, 1):
+    mark = 'x' if item['done'] else ' '
+    by = f'  ({item[\"done_by\"]})' if item['done'] and item.get('done_by') else ''
+    print(f'  {n:2d}. [{mark}] {item[\"text\"]}{by}')
+print(f'  {sum(i[\"done\"] for i in items)}/{len(items)} done')
+"
+}
+
+cmd_checklist_add() {
+  local id="$1"
+  local text="$2"
+
+  local body
+  body=$(python3 -c "import sys, json; print(json.dumps({'text': sys.argv[1]}))" "$text")
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/tasks/${id}/checklist" \
+    -H "Content-Type: application/json" \
+    -d "$body")
+
+  echo "$result" | python3 -c "import sys, json; json.load(sys.stdin)['id']" 2>/dev/null || {
+    echo -e "${RED}✗ Failed to add checklist item:${NC} ${result}"
+    exit 1
+  }
+
+  echo -e "${GREEN}✓ Checklist item added:${NC} ${text}"
+}
+
+# Tick (or untick) a checklist item by its number as shown by `checklist`
+cmd_check() {
+  local id="$1"
+  local number="$2"
+  local done="$3"
+
+  local item_id
+  item_id=$(api_curl "${BOARD_API}/tasks/${id}/checklist" | python3 -c "
+import sys, json
+items = json.load(sys.stdin)
+n = int(sys.argv[1])
+if isinstance(items, dict) or not 1 <= n <= len(items):
+    sys.exit(1)
+print(items[n - 1]['id'])
+" "$number" 2>/dev/null) || {
+    echo -e "${RED}✗ No checklist item ${number} on task ${id}${NC}"
+    exit 1
+  }
+
+  local result
+  result=$(api_curl -X PATCH "${BOARD_API}/tasks/${id}/checklist/${item_id}" \
+    -H "Content-Type: application/json" \
+    -d "{\"done\": ${done}}")
+
+  local text
+  text=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['text'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Failed to update checklist item:${NC} ${result}"
+    exit 1
+  }
+
+  if [ "$done" = "true" ]; then
+    echo -e "${GREEN}✓ Checked:${NC} ${text}"
+  else
+    echo -e "${GREEN}✓ Unchecked:${NC} ${text}"
+  fi
+}
+
+cmd_boards() {
+  api_curl "${API}/boards" | python3 -c "
+import sys, json
+boards = json.load(sys.stdin)
+for b in boards:
+    print(f'  {b[\"name\"]} ({b[\"taskCount\"]} tasks)')
+    print(f'           ID: {b[\"id\"]}')
+"
+}
+
+cmd_board_create() {
+  local name="$1"
+
+  local body
+  body=$(python3 -c "import sys, json; print(json.dumps({'name': sys.argv[1]}))" "$name")
+
+  local result
+  result=$(api_curl -X POST "${API}/boards" \
+    -H "Content-Type: application/json" \
+    -d "$body")
+
+  local new_id
+  new_id=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['id'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Failed to create board:${NC} ${result}"
+    exit 1
+  }
+
+  echo -e "${GREEN}✓ Board created:${NC} ${name}"
+  echo -e "  ID: ${new_id}"
+  echo -e "  Use it with: export KANBAN_BOARD=${new_id}"
+}
+
+cmd_export() {
+  local format="${1:-}"
+  local file="${2:-}"
+
+  case "$format" in
+    csv|markdown|json) ;;
+    *) echo -e "${RED}✗ Usage: export <csv|markdown|json> [file]${NC}"; exit 1 ;;
+  esac
+
+  if [ -z "$file" ]; then
+    api_curl "${BOARD_API}/export?format=${format}"
+    return
+  fi
+
+  local status
+  status=$(api_curl -o "$file" -w "%{http_code}" "${BOARD_API}/export?format=${format}")
+  if [ "$status" != "200" ]; then
+    echo -e "${RED}✗ Export failed:${NC} $(cat "$file")"
+    rm -f "$file"
+    exit 1
+  fi
+  echo -e "${GREEN}✓ Exported to${NC} ${file}"
+}
+
+cmd_import() {
+  local file="${1:-}"
+  local dry_run=false
+  local format=""
+  shift || true
+
+  while [ $# -gt 0 ]; do
+    case "$1" in
+      --dry-run) dry_run=true; shift ;;
+      --format|-f) format="$2"; shift 2 ;;
+      *) echo -e "${RED}Unknown option: $1${NC}"; exit 1 ;;
+    esac
+  done
+
+  if [ -z "$file" ] || [ ! -f "$file" ]; then
+    echo -e "${RED}✗ Usage: import <file> [--dry-run] [--format csv|markdown|json]${NC}"
+    exit 1
+  fi
+
+  # The format follows the file extension unless given
+  if [ -z "$format" ]; then
+    case "${file##*.}" in
+      csv) format=csv ;;
+      md|markdown) format=markdown ;;
+      json) format=json ;;
+      *) echo -e "${RED}✗ Can't tell the format of ${file}; pass --format${NC}"; exit 1 ;;
+    esac
+  fi
+
+  api_curl -X POST "${BOARD_API}/import" \
+    -H "Content-Type: application/json" \
+    --data-binary @<(python3 -c "
+import sys, json
+print(json.dumps({'format': sys.argv[2], 'data': open(sys.argv[1], encoding='utf-8').read(), 'dry_run': sys.argv[3] == 'true'}))
+" "$file" "$format" "$dry_run") | python3 -c "
+import sys, json
+result = json.load(sys.stdin)
+if 'created' not in result:
+    print('✗ Import failed:', result.get('error'))
+    for e in result.get('errors', []):
+        print(f'    row {e[\"row\"]}: {e[\"error\"]}')
+    sys.exit(1)
+verb = 'Would create' if result['dry_run'] else 'Created'
+print(f'{verb} {result[\"created\"]} task(s)')
+for t in result['tasks']:
+    print(f'  + [{t[\"status\"]}] {t[\"title\"]}')
+for s in result['skipped']:
+    print(f'  Skipped row {s[\"row\"]}: {s[\"reason\"]}')
+for e in result['errors']:
+    print(f'  ✗ Row {e[\"row\"]}: {e[\"error\"]}')
+"
+}
+
+cmd_watch() {
+  echo -e "${BOLD}Watching for changes (Ctrl+C to stop)...${NC}"
+  api_curl -N "${BOARD_API}/events" | python3 -c "
+import sys, json
+from datetime import datetime
+event = None
+for line in iter(sys.stdin.readline, ''):
+    line = line.rstrip('\n')
+    if line.startswith('event: '):
+        event = line[7:]
+    elif line.startswith('data: ') and event:
+        data = json.loads(line[6:])
+        task = data.get('task') or {}
+        detail = task.get('title') or data.get('task_id') or data.get('reason') or ''
+        if event == 'task_moved':
+            detail += f' → {task[\"status\"]}'
+        print(f'{datetime.now():%H:%M:%S}  {event:<16} {detail}', flush=True)
+        event = None
+"
+}
+
+cmd_changes() {
+  local cursor="${1:-}"
+  local url="${BOARD_API}/changes"
+  if [ -n "$cursor" ]; then
+    url="${url}?since=${cursor}"
+  fi
+  api_curl "$url" | python3 -m json.tool
+}
+
+cmd_recurring() {
+  api_curl "${BOARD_API}/recurring" | python3 -c "
+import sys, json
+templates = json.load(sys.stdin)
+if not templates:
+    print('  No recurring tasks')
+for t in templates:
+    state = '' if t['active'] else ' (paused)'
+    print(f'  {t[\"title\"]} [{t[\"schedule\"]}]{state}')
+    print(f'           Next: {t[\"next_run_at\"] or \"never\"}  ID: {t[\"id\"]}')
+"
+}
+
+cmd_recurring_add() {
+  local schedule="$1"
+  local title="$2"
+  shift 2
+
+  local priority="medium"
+  local status=""
+  local assignee=""
+  local description=""
+  local tags=""
+  local checklist=""
+
+  while [[ $# -gt 0 ]]; do
+    case "$1" in
+      --priority|-p) priority="$2"; shift 2 ;;
+      --status|-s) status="$2"; shift 2 ;;
+      --assignee|-a) assignee="$2"; shift 2 ;;
+      --description|-d) description="$2"; shift 2 ;;
+      --tags|-t) tags="$2"; shift 2 ;;
+      --checklist|-c) checklist="$2"; shift 2 ;;
+      *) shift ;;
+    esac
   done
+
+  # Same assignee fallback as cmd_add
+  if [ -z "$assignee" ] && [ -z "$KANBAN_TOKEN" ]; then
+    assignee="$KANBAN_ACTOR"
+  fi
+
+  local body
+  body=$(python3 -c "
+import sys, json
+schedule, title, priority, status, assignee, description, tags, checklist = sys.argv[1:]
+data = {'schedule': schedule, 'title': title, 'priority': priority, 'description': description,
+        'tags': [t.strip() for t in tags.split(',') if t.strip()],
+        'checklist': [i.strip() for i in checklist.split(';') if i.strip()]}
+if status:
+    data['status'] = status
+if assignee:
+    data['assignee'] = assignee
+print(json.dumps(data))
+" "$schedule" "$title" "$priority" "$status" "$assignee" "$description" "$tags" "$checklist")
+
+  local result
+  result=$(api_curl -X POST "${BOARD_API}/recurring" \
+    -H "Content-Type: application/json" \
+    -d "$body")
+
+  local next_run
+  next_run=$(echo "$result" | python3 -c "import sys, json; print(json.load(sys.stdin)['next_run_at'])" 2>/dev/null) || {
+    echo -e "${RED}✗ Failed to create recurring task:${NC} ${result}"
+    exit 1
+  }
+
+  echo -e "${GREEN}✓ Recurring task created:${NC} ${title} [${schedule}]"
+  echo -e "  First run: ${next_run}"
 }
 
 cmd_help() {
@@ -271,26 +1019,70 @@ cmd_help() {
   echo "Usage: kanban-cli.sh <command> [args...]"
   echo
   echo "Commands:"
-  echo "  list [status]              List tasks (backlog|todo|in_progress|review|done)"
+  echo "  list [status]              List tasks, optionally in one column (e.g. todo)"
   echo "  get <id>                   Get task details"
   echo "  add <title> [options]      Create a task"
   echo "  update <id> <json>         Update a task"
   echo "  move <id> <status>         Move to new column"
-  echo "  delete <id>                Delete a task"
+  echo "  delete <id>                Move a task to the trash"
+  echo "  claim <id> [ttl]           Claim a task for ttl seconds (default 300); renew before it runs out"
+  echo "  claim-next [status] [ttl]  Claim the most urgent unclaimed task in a column (default: todo)"
+  echo "  renew <id> [ttl]           Extend your claim on a task"
+  echo "  release <id>               Give a claimed task back"
+  echo "  activity <id> [text]       Report working on a task; repeat within 2 minutes to stay on it"
+  echo "  activity-clear <id>        Stop reporting work on a task"
+  echo "  who                        Show who is on the board and what agents are working on"
+  echo "  time-start <id> [note]     Start your timer on a task"
+  echo "  time-stop <id> [note]      Stop your timer on a task (a note replaces the start's)"
+  echo "  time <id>                  Show the time logged on a task"
+  echo "  trash                      List deleted tasks"
+  echo "  undelete <id>              Restore a task from the trash"
   echo "  stats                      Board statistics"
+  echo "  metrics [days]             Lead and cycle time, time in column, throughput and WIP age,"
+  echo "                             per assignee too (default: last 30 days)"
   echo "  search <query>             Search tasks"
-  echo "  clear-done                 Remove completed tasks"
+  echo "  query <expr> [sort]        Find tasks with the query language, e.g."
+  echo "                             query 'tag:finance AND updated:<7d' -priority"
+  echo "  overdue                    List open tasks past their due date"
+  echo "  clear-done                 Archive completed tasks"
+  echo "  archive <id>               Archive a completed task"
+  echo "  restore <id>               Bring an archived task back"
+  echo "  archived                   List archived tasks"
   echo "  board                      Show full board"
+  echo "  history <id>               Show task change log"
+  echo "  deps <id>                  Show what a task is blocked by and what it blocks"
+  echo "  comment <id> <text>        Add a progress note"
+  echo "  comments <id>              Show task comments"
+  echo "  checklist <id>             Show a task's checklist"
+  echo "  checklist-add <id> <text>  Add a checklist item"
+  echo "  check <id> <n>             Tick checklist item n (uncheck <id> <n> to undo)"
+  echo "  boards                     List boards"
+  echo "  board-create <name>        Create a board"
+  echo "  export <format> [file]     Export tasks as csv, markdown or json (stdout without file)"
+  echo "  import <file> [--dry-run]  Import tasks; format from the extension or --format,"
+  echo "                             also reads Trello and GitHub issue JSON exports"
+  echo "  watch                      Print board events as they happen"
+  echo "  changes [cursor]           Wait up to 25s for events after a cursor; without one,"
+  echo "                             print the cursor to start from"
+  echo "  recurring                  List recurring task templates"
+  echo "  recurring-add <cron> <title> [options]"
+  echo "                             Create a task on a schedule (add options apply)"
   echo
   echo "Add options:"
   echo "  --priority|-p <low|medium|high|critical>"
-  echo "  --status|-s <backlog|todo|in_progress|review|done>"
-  echo "  --assignee|-a <name>"
+  echo "  --status|-s <column id>    (default: backlog)"
+  echo "  --assignee|-a <name>       (default: the API key's name, or KANBAN_ACTOR)"
   echo "  --description|-d <text>"
   echo "  --tags|-t <comma,separated>"
+  echo "  --due <date>               e.g. \"tomorrow 17:00\" or 2026-03-01"
+  echo "  --blocked-by|-b <id,id>    Tasks that must be done first"
+  echo "  --checklist|-c <step;step> Checklist items, separated by semicolons"
   echo
   echo "Environment:"
-  echo "  KANBAN_URL  Base URL (default: http://localhost:3000)"
+  echo "  KANBAN_URL    Base URL (default: http://localhost:3000)"
+  echo "  KANBAN_ACTOR  Name recorded in task history (default: OpenClaw)"
+  echo "  KANBAN_TOKEN  API key (required when the server has authentication enabled)"
+  echo "  KANBAN_BOARD  Board ID to work on (default: the default board)"
 }
 
 # Main command dispatch
@@ -301,10 +1093,44 @@ case "${1:-help}" in
   update)     cmd_update "$2" "$3" ;;
   move)       cmd_move "$2" "$3" ;;
   delete)     cmd_delete "$2" ;;
+  claim)      cmd_claim claim "tasks/$2/claim" "${3:-}" ;;
+  claim-next) cmd_claim claim "tasks/claim-next" "${3:-}" "${2:-}" ;;
+  renew)      cmd_claim renew "tasks/$2/renew" "${3:-}" ;;
+  release)    cmd_claim release "tasks/$2/release" ;;
+  activity)   cmd_activity "$2" "${3:-}" ;;
+  activity-clear) cmd_activity_clear "$2" ;;
+  who)        cmd_who ;;
+  time-start) cmd_timer start "$2" "${3:-}" ;;
+  time-stop)  cmd_timer stop "$2" "${3:-}" ;;
+  time)       cmd_time "$2" ;;
+  trash)      cmd_trash ;;
+  undelete)   cmd_undelete "$2" ;;
   stats)      cmd_stats ;;
+  metrics)    cmd_metrics "${2:-}" ;;
   search)     cmd_search "$2" ;;
+  query)      cmd_query "$2" "${3:-}" ;;
+  overdue)    cmd_overdue ;;
   clear-done) cmd_clear_done ;;
+  archive)    cmd_archive "$2" archive ;;
+  restore)    cmd_archive "$2" restore ;;
+  archived)   cmd_archived ;;
   board)      cmd_board ;;
+  history)    cmd_history "$2" ;;
+  deps)       cmd_deps "$2" ;;
+  comment)    cmd_comment "$2" "$3" ;;
+  comments)   cmd_comments "$2" ;;
+  checklist)  cmd_checklist "$2" ;;
+  checklist-add) cmd_checklist_add "$2" "$3" ;;
+  check)      cmd_check "$2" "$3" true ;;
+  uncheck)    cmd_check "$2" "$3" false ;;
+  boards)     cmd_boards ;;
+  board-create) cmd_board_create "$2" ;;
+  export)     cmd_export "${2:-}" "${3:-}" ;;
+  import)     shift; cmd_import "$@" ;;
+  watch)      cmd_watch ;;
+  changes)    cmd_changes "${2:-}" ;;
+  recurring)  cmd_recurring ;;
+  recurring-add) shift; cmd_recurring_add "$@" ;;
   help|--help|-h) cmd_help ;;
   *)          echo "Unknown command: $1"; cmd_help; exit 1 ;;
 esac
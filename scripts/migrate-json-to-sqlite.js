@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// One-shot import of data/*.json into the SQLite store.
+//
+// Usage: node scripts/migrate-json-to-sqlite.js [--force]
+//
+// Honors KANBAN_DATA_DIR and KANBAN_SQLITE_FILE like the server does.
+// Refuses to touch a database that already has tasks unless --force is given.
+// The JSON files are only read; missing ones count as empty collections.
+
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const DATA_DIR = process.env.KANBAN_DATA_DIR || path.join(__dirname, '..', 'data');
+const SQLITE_FILE = process.env.KANBAN_SQLITE_FILE || path.join(DATA_DIR, 'kanban.db');
+const DEFAULT_BOARD_ID = 'default';
+
+// Collections copied besides tasks and history, in the order they are reported
+const COLLECTIONS = ['boards', 'webhooks', 'webhook_deliveries', 'recurring', 'trash', 'todo_sync'];
+
+async function migrate() {
+  const force = process.argv.includes('--force');
+  const source = createStorage({ driver: 'json', dataDir: DATA_DIR, readOnly: true });
+  const target = createStorage({ driver: 'sqlite', sqliteFile: SQLITE_FILE });
+
+  await source.init();
+  await target.init();
+
+  try {
+    const existing = await target.load('tasks');
+    if (existing.length > 0 && !force) {
+      throw new Error(`${SQLITE_FILE} already has ${existing.length} tasks; use --force to import anyway`);
+    }
+
+    const upsert = {
+      tasks: (await source.load('tasks')).map(task => ({ board_id: DEFAULT_BOARD_ID, ...task }))
+    };
+    for (const name of COLLECTIONS) {
+      upsert[name] = await source.load(name);
+    }
+    const history = await source.loadHistory();
+
+    await target.commit({ upsert, history });
+
+    console.log(`Imported into ${SQLITE_FILE}:`);
+    Object.entries(upsert).forEach(([name, records]) => console.log(`  ${name}: ${records.length}`));
+    console.log(`  history: ${history.length}`);
+    console.log('Start the server with KANBAN_STORAGE=sqlite to use it.');
+  } finally {
+    await target.close();
+  }
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
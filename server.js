@@ -5,16 +5,43 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { parseCron, nextRun } = require('./lib/cron');
+const { parseQuery, parseSort, QueryError } = require('./lib/query');
+const { createSearchIndex } = require('./lib/search-index');
+const { exportTasks, parseImport, ImportError } = require('./lib/import-export');
+const { createTodoSync, TodoSyncError } = require('./lib/todo-sync');
+const { createEventLog } = require('./lib/event-log');
+const { createPresence, CLIENT_KINDS } = require('./lib/presence');
 
 const app = express();
 const PORT = 3000;
-const TASKS_FILE = path.join(__dirname, 'data', 'tasks.json');
+const DATA_DIR = process.env.KANBAN_DATA_DIR || path.join(__dirname, 'data');
+const STORAGE_DRIVER = process.env.KANBAN_STORAGE || 'json';
+const SQLITE_FILE = process.env.KANBAN_SQLITE_FILE || path.join(DATA_DIR, 'kanban.db');
+const JSON_BACKUPS = process.env.KANBAN_BACKUPS !== undefined ? parseInt(process.env.KANBAN_BACKUPS, 10) : 5;
+const BACKUP_INTERVAL_MS = (parseInt(process.env.KANBAN_BACKUP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+const API_KEYS_FILE = process.env.KANBAN_API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json');
+const CORS_ORIGINS = process.env.KANBAN_CORS_ORIGINS
+  ? process.env.KANBAN_CORS_ORIGINS.split(',').map(origin => origin.trim())
+  : null;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  ...(CORS_ORIGINS ? { origin: CORS_ORIGINS } : {}),
+  exposedHeaders: ['ETag', 'X-Total-Count', 'X-Next-Cursor']
+}));
+// Large enough for POST /import of a whole board
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static('public'));
 
+// The query parser runs in the browser too, for the search box
+app.get('/query.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'query.js'));
+});
+
 // Request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -25,449 +52,4178 @@ app.use((req, res, next) => {
   next();
 });
 
-// In-memory task storage
-let tasks = [];
+// Persistence backend (JSON files or SQLite); the in-memory arrays below are the working copy
+const storage = createStorage({
+  driver: STORAGE_DRIVER,
+  dataDir: DATA_DIR,
+  sqliteFile: SQLITE_FILE,
+  backups: JSON_BACKUPS,
+  backupIntervalMs: BACKUP_INTERVAL_MS
+});
+
+// In-memory task storage
+let tasks = [];
+
+// Full-text index over tasks, updated by persist()
+const searchIndex = createSearchIndex();
+
+// Boards; tasks reference them by board_id
+let boards = [];
+
+// Board used by the unscoped /api/tasks routes and by tasks from older data files
+const DEFAULT_BOARD_ID = 'default';
+
+// Append-only log of task changes
+let history = [];
+
+// Configured API keys; authentication is disabled while this is empty
+let apiKeys = [];
+
+// Registered outgoing webhooks
+let webhooks = [];
+
+// Recurring task templates, instantiated by the scheduler
+let recurringTemplates = [];
+
+// Deleted tasks, restorable until purged: the task plus deleted_at and deleted_by
+let trash = [];
+
+// How often the scheduler looks for due templates
+const RECURRING_CHECK_INTERVAL_MS = 30 * 1000;
+
+// WebSocket protocol spoken after a { "type": "hello", "protocol": 2 } handshake;
+// clients that never say hello get the original fire-and-forget event stream
+const PROTOCOL_VERSION = 2;
+
+// Clients that don't answer a ping within this long are disconnected
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// How often stale agent activity is cleared from presence
+const PRESENCE_CHECK_INTERVAL_MS = 15 * 1000;
+
+// Longest activity text an agent may report
+const MAX_ACTIVITY_LENGTH = 200;
+
+// GET /events sends a comment this often so proxies don't close an idle stream
+const SSE_KEEPALIVE_MS = 15 * 1000;
+
+// How long GET /changes waits for an event, in seconds, by default and at most
+const CHANGES_DEFAULT_TIMEOUT_S = 25;
+const CHANGES_MAX_TIMEOUT_S = 60;
+
+// Events that can be sent to webhooks
+const WEBHOOK_EVENTS = ['task_created', 'task_updated', 'task_moved', 'task_deleted', 'task_due_soon', 'task_overdue'];
+
+// How often the sweeper looks for tasks past or near their due date
+const DUE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Open tasks due within this window get a task_due_soon reminder
+const DUE_SOON_MS = (parseInt(process.env.KANBAN_DUE_SOON_MINUTES, 10) || 60) * 60 * 1000;
+
+// Finished tasks are archived after this many days in the last column. Off
+// unless set, so upgrading never archives tasks an install already has.
+const ARCHIVE_AFTER_DAYS = parseInt(process.env.KANBAN_ARCHIVE_AFTER_DAYS, 10) || 0;
+
+// Deleted tasks are purged from the trash after this many days; 0 keeps them forever
+const TRASH_RETENTION_DAYS = process.env.KANBAN_TRASH_DAYS !== undefined
+  ? parseInt(process.env.KANBAN_TRASH_DAYS, 10)
+  : 30;
+
+// How often the archive and trash retention sweepers run
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Length of a claim's lease when ttl_seconds isn't given, and the longest allowed
+const DEFAULT_LEASE_SECONDS = 5 * 60;
+const MAX_LEASE_SECONDS = 24 * 60 * 60;
+
+// How often expired claims are handed back, and who does it in the history
+const LEASE_CHECK_INTERVAL_MS = 15 * 1000;
+const LEASE_ACTOR = 'leases';
+
+// Window GET /metrics reports on, in days, by default and at most
+const DEFAULT_METRICS_DAYS = 30;
+const MAX_METRICS_DAYS = 365;
+
+// Started tasks listed by age in GET /metrics
+const MAX_WIP_LISTED = 5;
+
+// Longest note on a time entry
+const MAX_TIME_NOTE_LENGTH = 200;
+
+// Every broadcast event, numbered, so reconnecting clients can catch up
+const eventLog = createEventLog();
+
+// Connected clients and what agents are working on, per board
+const presence = createPresence({ onChange: broadcastPresence });
+
+const webhookDispatcher = createWebhookDispatcher({
+  getWebhook: id => webhooks.find(w => w.id === id) || null,
+  persist
+});
+
+// Markdown checklist kept in two-way sync with a board (see lib/todo-sync.js); off unless set
+const TODO_FILE = process.env.KANBAN_TODO_FILE ? path.resolve(process.env.KANBAN_TODO_FILE) : null;
+const TODO_BOARD = process.env.KANBAN_TODO_BOARD || DEFAULT_BOARD_ID;
+
+// Name recorded in history and comments for changes made from the TODO file
+const TODO_ACTOR = 'todo-sync';
+
+const todoSync = TODO_FILE && createTodoSync({
+  file: TODO_FILE,
+  persist,
+  readTask: readTodoTask,
+  createTasks: createTodoTasks,
+  updateTask: updateTodoTask,
+  addNote: addTodoNote
+});
+
+// Columns given to boards that don't define their own
+const DEFAULT_COLUMNS = [
+  { id: 'backlog', label: 'Backlog', order: 0, color: '#8b949e', icon: '📋' },
+  { id: 'todo', label: 'To Do', order: 1, color: '#58a6ff', icon: '📝' },
+  { id: 'in_progress', label: 'In Progress', order: 2, color: '#d29922', icon: '⚡' },
+  { id: 'review', label: 'Review', order: 3, color: '#db6d28', icon: '🔍' },
+  { id: 'done', label: 'Done', order: 4, color: '#3fb950', icon: '✅' }
+];
+
+// Valid enums
+const VALID_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Largest page GET /tasks returns when `limit` is given
+const MAX_PAGE_SIZE = 500;
+
+// Default and largest number of hits from GET /search
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Roles in increasing order of privilege
+const ROLES = ['read-only', 'agent', 'admin'];
+
+// Load tasks from storage
+async function loadTasks() {
+  try {
+    tasks = (await storage.load('tasks')).map(task => ({ board_id: DEFAULT_BOARD_ID, version: 1, blocked_by: [], archived_at: null, lease: null, time_entries: [], ...task }));
+    searchIndex.rebuild(tasks);
+    console.log(`Loaded ${tasks.length} tasks from storage`);
+  } catch (error) {
+    // Refuse to start rather than overwrite unreadable data with an empty task list
+    console.error('Error loading tasks:', error);
+    throw error;
+  }
+}
+
+// Renumber every column 0..n-1, fixing duplicate orders left by older versions
+async function normalizeTaskOrder() {
+  const changed = [];
+  boards.forEach(board => {
+    getColumnIds(board).forEach(status => changed.push(...renumberColumn(board.id, status)));
+  });
+
+  if (changed.length > 0) {
+    await persist({ upsert: { tasks: changed } });
+    console.log(`Renumbered ${changed.length} tasks`);
+  }
+}
+
+// Load history from storage
+async function loadHistory() {
+  try {
+    history = await storage.loadHistory();
+    console.log(`Loaded ${history.length} history entries from storage`);
+  } catch (error) {
+    console.error('Error loading history:', error);
+    throw error;
+  }
+}
+
+// Write a change set through the storage backend, e.g.
+// persist({ upsert: { tasks: [task] }, remove: { tasks: [id] }, history: [entry] })
+async function persist(changes) {
+  try {
+    await storage.commit(changes);
+  } catch (error) {
+    console.error('Error saving changes:', error);
+    throw error;
+  }
+
+  // Every task change is persisted, so this keeps the search index current
+  if (changes.upsert && changes.upsert.tasks) {
+    changes.upsert.tasks.forEach(task => searchIndex.update(task));
+  }
+  if (changes.remove && changes.remove.tasks) {
+    changes.remove.tasks.forEach(id => searchIndex.remove(id));
+  }
+
+  if (todoSync && ((changes.upsert && changes.upsert.tasks) || (changes.remove && changes.remove.tasks))) {
+    todoSync.notify();
+  }
+}
+
+// Load webhooks and their delivery log from storage
+async function loadWebhooks() {
+  try {
+    webhooks = await storage.load('webhooks');
+    webhookDispatcher.load(await storage.load('webhook_deliveries'));
+    console.log(`Loaded ${webhooks.length} webhooks from storage`);
+  } catch (error) {
+    console.error('Error loading webhooks:', error);
+    throw error;
+  }
+}
+
+// Load recurring task templates from storage
+async function loadRecurringTemplates() {
+  try {
+    recurringTemplates = await storage.load('recurring');
+    console.log(`Loaded ${recurringTemplates.length} recurring templates from storage`);
+  } catch (error) {
+    console.error('Error loading recurring templates:', error);
+    throw error;
+  }
+}
+
+// Load the trash from storage
+async function loadTrash() {
+  try {
+    trash = await storage.load('trash');
+    console.log(`Loaded ${trash.length} deleted tasks from storage`);
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    throw error;
+  }
+}
+
+// Load boards from storage, making sure the default board exists
+async function loadBoards() {
+  try {
+    boards = await storage.load('boards');
+    console.log(`Loaded ${boards.length} boards from storage`);
+  } catch (error) {
+    console.error('Error loading boards:', error);
+    throw error;
+  }
+
+  // Boards from before configurable columns get the default workflow
+  boards = boards.map(board => ({
+    columns: DEFAULT_COLUMNS.map(column => ({ ...column })),
+    transitions: null,
+    ...board
+  }));
+
+  if (!boards.some(b => b.id === DEFAULT_BOARD_ID)) {
+    const now = new Date().toISOString();
+    boards.unshift({
+      id: DEFAULT_BOARD_ID,
+      name: 'Main Board',
+      description: '',
+      columns: DEFAULT_COLUMNS.map(column => ({ ...column })),
+      transitions: null,
+      created_at: now,
+      updated_at: now
+    });
+    await persist({ upsert: { boards: [boards[0]] } });
+  }
+}
+
+// Columns of a board in display order
+function getColumns(board) {
+  return [...board.columns].sort((a, b) => a.order - b.order);
+}
+
+function getColumnIds(board) {
+  return getColumns(board).map(column => column.id);
+}
+
+// Status for new tasks: backlog if the board has it, else its first column
+function defaultStatus(board) {
+  const ids = getColumnIds(board);
+  return ids.includes('backlog') ? 'backlog' : ids[0];
+}
+
+// A task is finished once it reaches the last column of its board
+function isFinished(board, task) {
+  const columns = getColumns(board);
+  return task.status === columns[columns.length - 1].id;
+}
+
+// Open task whose due date has passed
+function isOverdue(board, task, now = Date.now()) {
+  return Boolean(task.due_at) && Date.parse(task.due_at) < now && !isFinished(board, task);
+}
+
+// Check a status change against the board's workflow; returns an error message or null
+function checkTransition(board, from, to) {
+  if (!board.transitions || from === to) return null;
+
+  const allowed = board.transitions[from] || [];
+  if (allowed.includes(to)) return null;
+
+  return `Cannot move from ${from} to ${to}. Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`;
+}
+
+// Fields that change on every write or keep their own log
+const UNTRACKED_FIELDS = [
+  'id', 'board_id', 'version', 'created_at', 'updated_at', 'comments', 'checklist', 'due_notified',
+  'status_log', 'time_entries'
+];
+
+// List the fields that differ between two versions of a task
+function diffTask(before, after) {
+  const oldTask = before || {};
+  const newTask = after || {};
+  const fields = new Set([...Object.keys(oldTask), ...Object.keys(newTask)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+    const oldValue = oldTask[field] !== undefined ? oldTask[field] : null;
+    const newValue = newTask[field] !== undefined ? newTask[field] : null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old: oldValue, new: newValue });
+    }
+  });
+
+  return changes;
+}
+
+// Append a history entry; returns null when nothing actually changed
+function recordHistory(action, actor, before, after) {
+  const changes = diffTask(before, after);
+  if (changes.length === 0) return null;
+
+  const task = after || before;
+  const entry = {
+    id: uuidv4(),
+    task_id: task.id,
+    board_id: task.board_id,
+    action,
+    actor,
+    timestamp: new Date().toISOString(),
+    changes
+  };
+  history.push(entry);
+  return entry;
+}
+
+// diffTask leaves out comments and checklists, so a change to one of them is
+// recorded on its own: `old`/`new` describe the comment or item, not the list
+function recordItemHistory(action, actor, task, field, oldValue, newValue) {
+  const entry = {
+    id: uuidv4(),
+    task_id: task.id,
+    board_id: task.board_id,
+    action,
+    actor,
+    timestamp: new Date().toISOString(),
+    changes: [{ field, old: oldValue, new: newValue }]
+  };
+  history.push(entry);
+  return entry;
+}
+
+// Who is making the request: the API key's identity, or X-Actor when auth is off
+function getActor(req) {
+  if (req.auth) return req.auth.name;
+  const actor = req.get('X-Actor');
+  return actor && actor.trim() ? actor.trim() : 'anonymous';
+}
+
+// Load API keys from config. Only a missing file turns authentication off:
+// an unreadable file or one with no usable keys stops startup instead.
+async function loadApiKeys() {
+  let data;
+  try {
+    data = await fs.readFile(API_KEYS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.warn('No API keys file, authentication disabled');
+      apiKeys = [];
+      return;
+    }
+    throw error;
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`${API_KEYS_FILE} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${API_KEYS_FILE} must contain an array of API keys`);
+  }
+
+  apiKeys = entries.filter((entry, i) => {
+    const valid = entry !== null && typeof entry === 'object' &&
+      typeof entry.key === 'string' && entry.key.length > 0 &&
+      typeof entry.name === 'string' && entry.name.trim().length > 0 &&
+      ROLES.includes(entry.role);
+    if (!valid) {
+      console.warn(`Ignoring API key ${i}: needs key, name and role (${ROLES.join(', ')})`);
+    }
+    return valid;
+  }).map(entry => ({
+    hash: hashKey(entry.key),
+    name: entry.name.trim(),
+    role: entry.role
+  }));
+
+  if (apiKeys.length === 0) {
+    throw new Error(`${API_KEYS_FILE} has no valid API keys; fix it or remove it to turn authentication off`);
+  }
+  console.log(`Loaded ${apiKeys.length} API keys, authentication enabled`);
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Resolve a bearer token to { name, role }, or null if unknown
+function findApiKey(token) {
+  if (!token) return null;
+  const hash = hashKey(token);
+  const match = apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+  return match ? { name: match.name, role: match.role } : null;
+}
+
+function getBearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+}
+
+function hasRole(auth, minRole) {
+  return ROLES.indexOf(auth.role) >= ROLES.indexOf(minRole);
+}
+
+// Authenticate API requests; read-only keys may only use GET
+function authenticate(req, res, next) {
+  if (apiKeys.length === 0) return next();
+
+  // EventSource can't set headers, so the event stream also takes ?token=
+  const streamToken = req.method === 'GET' && /\/events$/.test(req.path) ? req.query.token : null;
+  const auth = findApiKey(getBearerToken(req.get('Authorization')) || streamToken);
+  if (!auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.auth = auth;
+  if (req.method !== 'GET' && !hasRole(auth, 'agent')) {
+    return res.status(403).json({ error: 'This API key is read-only' });
+  }
+  next();
+}
+
+// Route guard for actions that need more than the default agent role
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (req.auth && !hasRole(req.auth, minRole)) {
+      return res.status(403).json({ error: `Requires ${minRole} role` });
+    }
+    next();
+  };
+}
+
+// Default assignee for new tasks: the caller's identity when authenticated
+function defaultAssignee(req, data) {
+  if (data.assignee !== undefined) return data.assignee || '';
+  return req.auth ? req.auth.name : '';
+}
+
+// A new task from validated POST /tasks input
+function newTaskFromInput(board, data, assignee) {
+  const now = new Date().toISOString();
+  const status = data.status || defaultStatus(board);
+  return {
+    id: uuidv4(),
+    board_id: board.id,
+    title: data.title.trim(),
+    description: data.description || '',
+    status,
+    priority: data.priority || 'medium',
+    tags: data.tags || [],
+    assignee,
+    comments: [],
+    checklist: (data.checklist || []).map(newChecklistItem),
+    start_at: normalizeDate(data.start_at),
+    due_at: normalizeDate(data.due_at),
+    blocked_by: [...new Set(data.blocked_by || [])],
+    archived_at: null,
+    lease: null,
+    status_log: [{ status, entered_at: now }],
+    time_entries: [],
+    version: 1,
+    created_at: now,
+    updated_at: now,
+    order: 0
+  };
+}
+
+// Add new tasks to the board, each at its `order` (end of its column when
+// undefined), then save and announce them together. Takes [{ task, order }].
+async function insertTasks(board, entries, actor) {
+  const reordered = new Set();
+  entries.forEach(({ task, order }) => {
+    tasks.push(task);
+    renumberColumn(board.id, task.status, task, order).forEach(t => reordered.add(t));
+  });
+
+  const created = entries.map(entry => entry.task);
+  const siblings = [...reordered].filter(task => !created.includes(task));
+  await persist({
+    upsert: { tasks: [...created, ...siblings] },
+    history: created.map(task => recordHistory('created', actor, null, task))
+  });
+
+  created.forEach(task => {
+    broadcastToClients({
+      type: 'task_created',
+      task,
+      timestamp: task.created_at
+    }, board.id);
+  });
+  if (siblings.length > 0) {
+    broadcastReordered(board.id, siblings.map(task => task.status));
+  }
+
+  return created;
+}
+
+// WebSocket broadcast; with a boardId, only clients subscribed to that board
+// receive it. GET /events and GET /changes pick it up from the event log.
+function broadcastToClients(message, boardId) {
+  const payload = JSON.stringify(eventLog.append(boardId, message));
+  wss.clients.forEach(client => {
+    if (boardId && client.boardId !== boardId) return;
+    if (client.readyState === 1) { // WebSocket.OPEN
+      client.send(payload);
+    }
+  });
+
+  if (WEBHOOK_EVENTS.includes(message.type)) {
+    notifyWebhooks(message, boardId);
+  }
+}
+
+// Presence is state rather than an event: it goes straight to the board's
+// protocol v2 sockets, without a seq, and isn't replayed
+function broadcastPresence(boardId) {
+  const payload = JSON.stringify({ type: 'presence', board_id: boardId, clients: presence.list(boardId) });
+  wss.clients.forEach(client => {
+    if (client.boardId === boardId && client.protocolVersion === PROTOCOL_VERSION && client.readyState === 1) {
+      client.send(payload);
+    }
+  });
+}
+
+// Activity text from a request or socket message; null when invalid
+function activityText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string' || value.length > MAX_ACTIVITY_LENGTH) return null;
+  return value.trim();
+}
+
+// Position in the event feeds: "<epoch>:<seq>", valid until the server restarts
+function eventCursor(seq) {
+  return `${eventLog.epoch}:${seq}`;
+}
+
+// Seq of a cursor from this server run, or null when it is malformed or stale
+function cursorSeq(cursor) {
+  const match = /^([\w-]+):(\d+)$/.exec(String(cursor || ''));
+  if (!match || match[1] !== eventLog.epoch) return null;
+  return parseInt(match[2], 10);
+}
+
+// Queue a task event for every active webhook subscribed to it
+function notifyWebhooks(message, boardId) {
+  const { type, ...data } = message;
+
+  webhooks
+    .filter(webhook => webhook.active && webhook.events.includes(type))
+    .filter(webhook => !webhook.board_id || webhook.board_id === boardId)
+    .forEach(webhook => {
+      webhookDispatcher.deliver(webhook, type, { board_id: boardId, ...data }).catch(error => {
+        console.error('Error queueing webhook delivery:', error);
+      });
+    });
+}
+
+// Webhook as returned by the API; the signing secret is only shown on creation
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// Task lookups scoped to the board resolved for the request
+function findBoardTaskIndex(req) {
+  return tasks.findIndex(t => t.id === req.params.id && t.board_id === req.board.id);
+}
+
+function findBoardTask(req) {
+  const taskIndex = findBoardTaskIndex(req);
+  return taskIndex === -1 ? null : tasks[taskIndex];
+}
+
+// Tasks of one column in display order, optionally leaving one task out
+function columnTasks(boardId, status, excludeId = null) {
+  return tasks
+    .filter(t => t.board_id === boardId && t.status === status && t.id !== excludeId && !t.archived_at)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+// Renumber a column 0..n-1. When `placed` is given (it must already carry the
+// column's status), it is inserted at `index`, or appended if index is undefined.
+// Orders are updated in place; returns every task whose order changed.
+function renumberColumn(boardId, status, placed = null, index = undefined) {
+  const column = columnTasks(boardId, status, placed && placed.id);
+  if (placed) {
+    const position = index === undefined ? column.length : Math.max(0, Math.min(index, column.length));
+    column.splice(position, 0, placed);
+  }
+
+  const changed = [];
+  column.forEach((task, order) => {
+    if (task.order === order) return;
+    task.order = order;
+    changed.push(task);
+  });
+  return changed;
+}
+
+// Send the new task order of the given columns to a board's clients
+function broadcastReordered(boardId, statuses) {
+  const columns = {};
+  [...new Set(statuses)].forEach(status => {
+    columns[status] = columnTasks(boardId, status).map(t => t.id);
+  });
+
+  broadcastToClients({
+    type: 'task_reordered',
+    board_id: boardId,
+    columns,
+    timestamp: new Date().toISOString()
+  }, boardId);
+}
+
+// Where a moved task should land in its target column: before another task
+// (before_id), at an index (order), or where it already is
+function targetIndex(data, task, boardId, status) {
+  const column = columnTasks(boardId, status, task.id);
+  if (data.before_id !== undefined) {
+    const index = column.findIndex(t => t.id === data.before_id);
+    return index === -1 ? column.length : index;
+  }
+  if (data.order !== undefined) return data.order;
+  if (task.status === status) {
+    return column.filter(t => (t.order || 0) < (task.order || 0)).length;
+  }
+  return undefined;
+}
+
+// Put a task that was just updated into place and close the gap it left in its
+// previous column. Returns the other tasks whose order changed.
+function repositionTask(previousTask, updatedTask, index) {
+  const changed = renumberColumn(updatedTask.board_id, updatedTask.status, updatedTask, index);
+  if (previousTask.status !== updatedTask.status) {
+    changed.push(...renumberColumn(previousTask.board_id, previousTask.status));
+  }
+  return changed.filter(t => t !== updatedTask);
+}
+
+// Send a task's whole checklist to the board's clients after any change to it
+function broadcastChecklist(task) {
+  broadcastToClients({
+    type: 'checklist_updated',
+    task_id: task.id,
+    board_id: task.board_id,
+    checklist: task.checklist,
+    version: task.version,
+    updated_at: task.updated_at,
+    timestamp: new Date().toISOString()
+  }, task.board_id);
+}
+
+function broadcastTimeEntries(task) {
+  broadcastToClients({
+    type: 'time_updated',
+    task_id: task.id,
+    board_id: task.board_id,
+    time_entries: task.time_entries,
+    timestamp: new Date().toISOString()
+  }, task.board_id);
+}
+
+// ETag for the current version of a task
+function taskEtag(task) {
+  return `"${task.version}"`;
+}
+
+// True when the request's If-Match header names an older version of the task.
+// Requests without If-Match (or with "*") always proceed.
+function isStale(req, task) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch || ifMatch.trim() === '*') return false;
+
+  const etags = ifMatch.split(',').map(etag => etag.trim().replace(/^W\//, ''));
+  return !etags.includes(taskEtag(task));
+}
+
+// What the query language needs to know about the request's board and caller
+function queryContext(req) {
+  const ranks = {};
+  getColumnIds(req.board).forEach((id, index) => { ranks[id] = index; });
+
+  return {
+    now: Date.now(),
+    actor: getActor(req),
+    statusRank: status => ranks[status],
+    isFinished: task => isFinished(req.board, task),
+    isBlocked: task => openBlockers(req.board, task).length > 0
+  };
+}
+
+// Pagination cursors carry the sort key of the last task on the page
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(key) ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validation helpers
+function isValidDate(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+// Dates are stored as full ISO 8601 timestamps
+function normalizeDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Checklists are given as a list of item texts on create and in recurring templates
+function isChecklistInput(value) {
+  return Array.isArray(value) && value.every(text => typeof text === 'string' && text.trim().length > 0);
+}
+
+function newChecklistItem(text) {
+  return {
+    id: uuidv4(),
+    text: text.trim(),
+    done: false,
+    done_at: null,
+    done_by: null,
+    created_at: new Date().toISOString()
+  };
+}
+
+// Returns an error message when a task would start after it is due
+function checkDateOrder(task) {
+  if (task.start_at && task.due_at && Date.parse(task.start_at) > Date.parse(task.due_at)) {
+    return 'start_at must not be after due_at';
+  }
+  return null;
+}
+
+// Blockers of a task that haven't reached their board's last column yet.
+// Blockers that were deleted in the meantime no longer hold anything up.
+function openBlockers(board, task) {
+  return (task.blocked_by || [])
+    .map(id => tasks.find(t => t.id === id && t.board_id === task.board_id))
+    .filter(blocker => blocker && !isFinished(board, blocker));
+}
+
+// Archive finished tasks of a board: they leave the board but stay queryable
+// with ?archived=true until restored
+async function archiveTasks(board, list, actor) {
+  const now = new Date().toISOString();
+  const archived = [];
+  const entries = [];
+
+  list.forEach(task => {
+    const index = tasks.findIndex(t => t.id === task.id);
+    const updatedTask = { ...task, archived_at: now, version: task.version + 1, updated_at: now };
+    tasks[index] = updatedTask;
+    archived.push(updatedTask);
+    entries.push(recordHistory('archived', actor, task, updatedTask));
+  });
+
+  const statuses = [...new Set(archived.map(task => task.status))];
+  const siblings = statuses.flatMap(status => renumberColumn(board.id, status));
+  await persist({ upsert: { tasks: [...archived, ...siblings] }, history: entries });
+
+  archived.forEach(task => {
+    broadcastToClients({ type: 'task_archived', task, timestamp: now }, board.id);
+    presence.clearTask(task.id);
+  });
+  if (siblings.length > 0) {
+    broadcastReordered(board.id, statuses);
+  }
+
+  return archived;
+}
+
+// When each task last entered its board's last column (or was restored from
+// the archive), from the history
+function finishedTimes() {
+  const times = new Map();
+  history.forEach(entry => {
+    const board = boards.find(b => b.id === entry.board_id);
+    const change = entry.changes.find(c => c.field === 'status');
+    if (entry.action === 'restored' || (board && change && change.new === getColumnIds(board).slice(-1)[0])) {
+      times.set(entry.task_id, entry.timestamp);
+    }
+  });
+  return times;
+}
+
+// Retention: archive tasks finished more than ARCHIVE_AFTER_DAYS ago. Tasks
+// without history (from before it was kept) count from their last update.
+async function sweepFinishedTasks() {
+  if (!(ARCHIVE_AFTER_DAYS > 0)) return;
+
+  const cutoff = new Date(Date.now() - ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const times = finishedTimes();
+
+  for (const board of boards) {
+    const expired = tasks.filter(task =>
+      task.board_id === board.id &&
+      !task.archived_at &&
+      isFinished(board, task) &&
+      (times.get(task.id) || task.updated_at) < cutoff
+    );
+
+    if (expired.length > 0) {
+      await archiveTasks(board, expired, 'retention');
+      console.log(`Archived ${expired.length} finished tasks on board "${board.name}"`);
+    }
+  }
+}
+
+// Move tasks of a board to the trash. Their history is kept, and they can be
+// restored through POST /trash/:id/restore until the trash is purged. Archived
+// tasks are skipped unless `explicit` (a DELETE of that very task), so the
+// archive never ends up purged along with the trash. Returns the trashed tasks.
+async function trashTasks(board, tasksToTrash, actor, { explicit = false } = {}) {
+  const list = tasksToTrash.filter(task => explicit || !task.archived_at);
+  if (list.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const ids = new Set(list.map(task => task.id));
+  const records = list.map(task => ({ ...task, deleted_at: now, deleted_by: actor }));
+
+  tasks = tasks.filter(task => !ids.has(task.id));
+  trash.push(...records);
+
+  const statuses = [...new Set(list.map(task => task.status))];
+  const siblings = statuses.flatMap(status => renumberColumn(board.id, status));
+  await persist({
+    upsert: { trash: records, tasks: siblings },
+    remove: { tasks: [...ids] },
+    history: list.map(task => recordHistory('deleted', actor, task, null))
+  });
+
+  list.forEach(task => {
+    broadcastToClients({ type: 'task_deleted', task, timestamp: now }, board.id);
+    presence.clearTask(task.id);
+  });
+
+  return list;
+}
+
+// Permanently drop trashed tasks deleted more than TRASH_RETENTION_DAYS ago
+async function sweepTrash() {
+  if (!(TRASH_RETENTION_DAYS > 0)) return;
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = trash.filter(record => record.deleted_at < cutoff);
+  if (expired.length === 0) return;
+
+  trash = trash.filter(record => record.deleted_at >= cutoff);
+  await persist({ remove: { trash: expired.map(record => record.id) } });
+  console.log(`Purged ${expired.length} tasks from the trash`);
+}
+
+// A claim whose lease hasn't run out
+function hasActiveLease(task, now = Date.now()) {
+  return Boolean(task.lease) && Date.parse(task.lease.expires_at) > now;
+}
+
+// Lease length asked for in a claim or renewal; null when invalid
+function leaseSeconds(data) {
+  if (data.ttl_seconds === undefined) return DEFAULT_LEASE_SECONDS;
+  const ttl = data.ttl_seconds;
+  return Number.isInteger(ttl) && ttl > 0 && ttl <= MAX_LEASE_SECONDS ? ttl : null;
+}
+
+function leaseExpiry(ttl) {
+  return new Date(Date.now() + ttl * 1000).toISOString();
+}
+
+// Claim a task for `holder`, who becomes its assignee until the lease runs out.
+// The lease remembers the column and assignee the task had before, so it can
+// be handed back; taking over an expired claim keeps the original ones. The
+// task is updated before the first await, so two claims can't both succeed.
+async function claimTask(board, task, holder, ttl) {
+  const index = tasks.findIndex(t => t.id === task.id);
+  const now = new Date().toISOString();
+  const origin = task.lease || { return_status: task.status, return_assignee: task.assignee };
+  const claimedTask = {
+    ...task,
+    assignee: holder,
+    lease: {
+      holder,
+      claimed_at: now,
+      expires_at: leaseExpiry(ttl),
+      ttl_seconds: ttl,
+      return_status: origin.return_status,
+      return_assignee: origin.return_assignee
+    },
+    version: task.version + 1,
+    updated_at: now
+  };
+  tasks[index] = claimedTask;
+
+  const entry = recordHistory('claimed', holder, task, claimedTask);
+  await persist({ upsert: { tasks: [claimedTask] }, history: entry ? [entry] : [] });
+
+  broadcastToClients({ type: 'task_claimed', task: claimedTask, timestamp: now }, board.id);
+  return claimedTask;
+}
+
+// Push a lease's expiry out. Renewals are heartbeats: they don't change the
+// version (so the holder's If-Match stays valid) and aren't broadcast.
+async function renewLease(task, ttl) {
+  const index = tasks.findIndex(t => t.id === task.id);
+  const renewedTask = { ...task, lease: { ...task.lease, expires_at: leaseExpiry(ttl), ttl_seconds: ttl } };
+  tasks[index] = renewedTask;
+  await persist({ upsert: { tasks: [renewedTask] } });
+  return renewedTask;
+}
+
+// End a claim (action 'released' or 'lease_expired'). An unfinished task goes
+// back to the column and assignee it had when it was claimed.
+async function endLease(board, task, action, actor) {
+  const index = tasks.findIndex(t => t.id === task.id);
+  const now = new Date().toISOString();
+  const { return_status: status, return_assignee: assignee } = task.lease;
+  const handBack = !isFinished(board, task);
+  const updatedTask = {
+    ...task,
+    status: handBack && getColumnIds(board).includes(status) ? status : task.status,
+    assignee: handBack ? assignee : task.assignee,
+    lease: null,
+    version: task.version + 1,
+    updated_at: now
+  };
+  logStatusChange(task, updatedTask);
+  tasks[index] = updatedTask;
+
+  const moved = updatedTask.status !== task.status;
+  const siblings = moved ? repositionTask(task, updatedTask) : [];
+  const entry = recordHistory(action, actor, task, updatedTask);
+  await persist({ upsert: { tasks: [updatedTask, ...siblings] }, history: entry ? [entry] : [] });
+
+  broadcastToClients({
+    type: action === 'released' ? 'task_released' : 'task_lease_expired',
+    task: updatedTask,
+    timestamp: now
+  }, board.id);
+  presence.clearTask(task.id);
+  if (moved) {
+    broadcastReordered(board.id, [task.status, updatedTask.status]);
+  }
+
+  return updatedTask;
+}
+
+// Hand back tasks whose holder stopped renewing the claim
+async function sweepLeases() {
+  const expired = tasks.filter(task => task.lease && !task.archived_at && !hasActiveLease(task));
+
+  for (const { id } of expired) {
+    // Earlier hand-backs await storage; the task may have been renewed meanwhile
+    const task = tasks.find(t => t.id === id);
+    const board = task && boards.find(b => b.id === task.board_id);
+    if (!board || !task.lease || hasActiveLease(task)) continue;
+
+    await endLease(board, task, 'lease_expired', LEASE_ACTOR);
+    console.log(`Claim of ${task.lease.holder} on "${task.title}" expired`);
+  }
+}
+
+// Columns a task may only enter once its blockers are finished: In Progress and
+// everything after it, or only the last column on boards without in_progress
+function requiresUnblocked(board, status) {
+  const ids = getColumnIds(board);
+  const first = ids.includes('in_progress') ? ids.indexOf('in_progress') : ids.length - 1;
+  return ids.indexOf(status) >= first;
+}
+
+// Record in a task's status_log that a change moved it to another column.
+// Each entry is when the task entered a column; it stayed there until the next.
+function logStatusChange(previousTask, updatedTask) {
+  if (updatedTask.status === previousTask.status) return;
+  updatedTask.status_log = [
+    ...(previousTask.status_log || []),
+    { status: updatedTask.status, entered_at: updatedTask.updated_at }
+  ];
+}
+
+// Tasks saved before status_log was kept get one rebuilt from their history.
+// It lives in memory until the task's next change saves it.
+function backfillStatusLogs() {
+  const moves = new Map(); // task id -> status changes, oldest first
+  history.forEach(entry => {
+    const change = entry.changes.find(c => c.field === 'status');
+    if (!change || change.new === null) return;
+    if (!moves.has(entry.task_id)) moves.set(entry.task_id, []);
+    moves.get(entry.task_id).push({ ...change, at: entry.timestamp });
+  });
+
+  let rebuilt = 0;
+  [...tasks, ...trash].forEach(task => {
+    if (task.status_log) return;
+
+    const changes = moves.get(task.id) || [];
+    const log = [];
+    // No 'created' entry: the task started where its first move took it from
+    if (changes.length === 0 || changes[0].old !== null) {
+      log.push({ status: changes.length > 0 ? changes[0].old : task.status, entered_at: task.created_at });
+    }
+    changes.forEach(change => {
+      if (log.length > 0 && log[log.length - 1].status === change.new) return;
+      log.push({ status: change.new, entered_at: change.at });
+    });
+
+    task.status_log = log;
+    rebuilt += 1;
+  });
+
+  if (rebuilt > 0) {
+    console.log(`Rebuilt the status log of ${rebuilt} tasks from history`);
+  }
+}
+
+// When a finished task entered its column
+function finishedAt(task) {
+  const log = task.status_log || [];
+  const last = log[log.length - 1];
+  return last && last.status === task.status ? last.entered_at : task.updated_at;
+}
+
+// The caller's running timer on a task, if any
+function runningEntry(task, actor) {
+  return (task.time_entries || []).find(entry => entry.actor === actor && !entry.stopped_at);
+}
+
+// Seconds of a time entry that fall between `from` and `to` (ms); a running
+// entry counts up to `to`
+function trackedSeconds(entry, from, to) {
+  const start = Math.max(Date.parse(entry.started_at), from);
+  const end = Math.min(entry.stopped_at ? Date.parse(entry.stopped_at) : to, to);
+  return Math.max(0, (end - start) / 1000);
+}
+
+// Finishing a task ends its claim and stops the timers running on it
+function settleFinished(board, task) {
+  if (!isFinished(board, task)) return;
+
+  task.lease = null;
+  task.time_entries = (task.time_entries || []).map(entry =>
+    entry.stopped_at ? entry : { ...entry, stopped_at: task.updated_at }
+  );
+}
+
+function durationSummary(seconds) {
+  if (seconds.length === 0) {
+    return { count: 0, avg_seconds: null, median_seconds: null, p85_seconds: null };
+  }
+
+  const sorted = [...seconds].sort((a, b) => a - b);
+  const percentile = p => Math.round(sorted[Math.ceil(p * sorted.length) - 1]);
+  return {
+    count: sorted.length,
+    avg_seconds: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median_seconds: percentile(0.5),
+    p85_seconds: percentile(0.85)
+  };
+}
+
+// Flow metrics of some tasks of a board between `from` and `to` (ms), from
+// their status logs and timers. Work counts as started once a task reaches
+// In Progress or a later column (see requiresUnblocked).
+//
+//   lead_time      - Created to finished, for tasks finished in the window
+//   cycle_time     - First started to finished, for the same tasks
+//   time_in_column - Time those tasks spent in each column on the way
+//   throughput     - How many tasks were finished in the window, and per day
+//   wip_age        - How long ago open started tasks started, oldest listed
+//   tracked_seconds - Time logged on the tasks' timers within the window
+function flowMetrics(board, list, from, to) {
+  const lead = [];
+  const cycle = [];
+  const inColumn = new Map(getColumnIds(board).map(id => [id, []]));
+  const wip = [];
+  let tracked = 0;
+
+  list.forEach(task => {
+    const log = task.status_log || [];
+    const started = log.find(entry => requiresUnblocked(board, entry.status));
+    (task.time_entries || []).forEach(entry => { tracked += trackedSeconds(entry, from, to); });
+
+    if (isFinished(board, task)) {
+      const finished = Date.parse(finishedAt(task));
+      if (finished < from || finished > to) return;
+
+      lead.push((finished - Date.parse(task.created_at)) / 1000);
+      if (started) cycle.push((finished - Date.parse(started.entered_at)) / 1000);
+
+      const spent = new Map();
+      log.slice(0, -1).forEach((entry, i) => {
+        const seconds = (Date.parse(log[i + 1].entered_at) - Date.parse(entry.entered_at)) / 1000;
+        spent.set(entry.status, (spent.get(entry.status) || 0) + seconds);
+      });
+      spent.forEach((seconds, status) => {
+        if (inColumn.has(status)) inColumn.get(status).push(seconds);
+      });
+    } else if (!task.archived_at && started && requiresUnblocked(board, task.status)) {
+      wip.push({
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        assignee: task.assignee,
+        started_at: started.entered_at,
+        age_seconds: Math.round((to - Date.parse(started.entered_at)) / 1000)
+      });
+    }
+  });
+
+  wip.sort((a, b) => b.age_seconds - a.age_seconds);
+  const days = (to - from) / (24 * 60 * 60 * 1000);
+
+  return {
+    lead_time: durationSummary(lead),
+    cycle_time: durationSummary(cycle),
+    time_in_column: Object.fromEntries([...inColumn].map(([id, seconds]) => [id, durationSummary(seconds)])),
+    throughput: { finished: lead.length, per_day: Math.round(lead.length / days * 100) / 100 },
+    wip_age: { ...durationSummary(wip.map(task => task.age_seconds)), oldest: wip.slice(0, MAX_WIP_LISTED) },
+    tracked_seconds: Math.round(tracked)
+  };
+}
+
+// 409 body when a task would start or finish ahead of its blockers; null if it may
+function checkBlockers(board, task) {
+  if (!requiresUnblocked(board, task.status)) return null;
+
+  const blockers = openBlockers(board, task);
+  if (blockers.length === 0) return null;
+
+  return {
+    error: `Blocked by open tasks: ${blockers.map(b => `"${b.title}"`).join(', ')}`,
+    blockers: blockers.map(b => ({ id: b.id, title: b.title, status: b.status }))
+  };
+}
+
+// Returns an error message when blocked_by names unknown tasks or closes a
+// cycle. IDs the task already had are not re-checked, so a deleted blocker
+// doesn't make the task uneditable.
+function checkDependencies(task, previousTask = null) {
+  const known = previousTask ? previousTask.blocked_by || [] : [];
+  const lookup = id => (id === task.id ? task : tasks.find(t => t.id === id && t.board_id === task.board_id));
+
+  for (const id of task.blocked_by || []) {
+    if (id === task.id) return 'A task cannot block itself';
+    if (!known.includes(id) && !lookup(id)) return `Unknown blocker: ${id}`;
+  }
+
+  // Depth-first walk along blocked_by; reaching the task again means a cycle
+  const seen = new Set();
+  const walk = (current, path) => {
+    for (const id of current.blocked_by || []) {
+      if (id === task.id) return [...path, current];
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const next = lookup(id);
+      const cycle = next && walk(next, [...path, current]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  const cycle = walk(task, []);
+  if (!cycle) return null;
+  return `Dependency cycle: ${[...cycle, task].map(t => `"${t.title}"`).join(' → ')}`;
+}
+
+function validateBoardInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.name) {
+    errors.push('Name is required');
+  }
+
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+    errors.push('Name must be a non-empty string');
+  }
+
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('Description must be a string');
+  }
+
+  return errors;
+}
+
+function validateWebhookInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.url) {
+    errors.push('URL is required');
+  }
+
+  if (data.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(data.url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('URL must be an http(s) URL');
+    }
+  }
+
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events) || data.events.length === 0) {
+      errors.push('Events must be a non-empty array');
+    } else if (!data.events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  }
+
+  if (data.board_id !== undefined && data.board_id !== null && !boards.some(b => b.id === data.board_id)) {
+    errors.push('Board not found');
+  }
+
+  if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+    errors.push('Secret must be a string of at least 16 characters');
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push('Active must be a boolean');
+  }
+
+  return errors;
+}
+
+function validateRecurringInput(data, board, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.title) {
+    errors.push('Title is required');
+  }
+
+  if (data.title !== undefined && (typeof data.title !== 'string' || data.title.trim().length === 0)) {
+    errors.push('Title must be a non-empty string');
+  }
+
+  if (!isUpdate && !data.schedule) {
+    errors.push('Schedule is required');
+  }
+
+  if (data.schedule !== undefined) {
+    try {
+      if (typeof data.schedule !== 'string') throw new Error('Schedule must be a cron expression string');
+      parseCron(data.schedule);
+      if (!nextRun(data.schedule)) throw new Error('Schedule never runs');
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('Description must be a string');
+  }
+
+  if (data.status !== undefined && !getColumnIds(board).includes(data.status)) {
+    errors.push(`Status must be one of: ${getColumnIds(board).join(', ')}`);
+  }
+
+  if (data.priority !== undefined && !VALID_PRIORITIES.includes(data.priority)) {
+    errors.push(`Priority must be one of: ${VALID_PRIORITIES.join(', ')}`);
+  }
+
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || !data.tags.every(tag => typeof tag === 'string'))) {
+    errors.push('Tags must be an array of strings');
+  }
+
+  if (data.assignee !== undefined && typeof data.assignee !== 'string') {
+    errors.push('Assignee must be a string');
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push('Active must be a boolean');
+  }
+
+  if (data.checklist !== undefined && !isChecklistInput(data.checklist)) {
+    errors.push('Checklist must be an array of non-empty strings');
+  }
+
+  return errors;
+}
+
+function validateColumnInput(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.label) {
+    errors.push('Label is required');
+  }
+
+  if (data.label !== undefined && (typeof data.label !== 'string' || data.label.trim().length === 0)) {
+    errors.push('Label must be a non-empty string');
+  }
+
+  if (data.id !== undefined && (typeof data.id !== 'string' || !/^[a-z0-9_-]+$/.test(data.id))) {
+    errors.push('ID may only contain lowercase letters, digits, "_" and "-"');
+  }
+
+  if (data.order !== undefined && typeof data.order !== 'number') {
+    errors.push('Order must be a number');
+  }
+
+  if (data.color !== undefined && (typeof data.color !== 'string' || !/^#[0-9a-fA-F]{3,8}$/.test(data.color))) {
+    errors.push('Color must be a hex color such as #58a6ff');
+  }
+
+  if (data.icon !== undefined && typeof data.icon !== 'string') {
+    errors.push('Icon must be a string');
+  }
+
+  return errors;
+}
+
+function validateTransitions(transitions, board) {
+  if (transitions === null) return [];
+  if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+    return ['Transitions must be an object mapping column IDs to arrays of column IDs, or null'];
+  }
+
+  const ids = getColumnIds(board);
+  const errors = [];
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!ids.includes(from)) {
+      errors.push(`Unknown column: ${from}`);
+    }
+    if (!Array.isArray(targets) || !targets.every(target => ids.includes(target))) {
+      errors.push(`Targets of ${from} must be an array of column IDs`);
+    }
+  });
+  return errors;
+}
+
+function validateTaskInput(data, board, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate && !data.title) {
+    errors.push('Title is required');
+  }
+
+  if (data.title !== undefined && typeof data.title !== 'string') {
+    errors.push('Title must be a string');
+  }
+
+  if (data.title !== undefined && data.title.trim().length === 0) {
+    errors.push('Title cannot be empty');
+  }
+
+  if (data.status !== undefined && !getColumnIds(board).includes(data.status)) {
+    errors.push(`Status must be one of: ${getColumnIds(board).join(', ')}`);
+  }
+
+  if (data.priority !== undefined && !VALID_PRIORITIES.includes(data.priority)) {
+    errors.push(`Priority must be one of: ${VALID_PRIORITIES.join(', ')}`);
+  }
+
+  if (data.tags !== undefined && !Array.isArray(data.tags)) {
+    errors.push('Tags must be an array');
+  }
+
+  if (data.tags !== undefined && !data.tags.every(tag => typeof tag === 'string')) {
+    errors.push('All tags must be strings');
+  }
+
+  if (data.order !== undefined && (!Number.isInteger(data.order) || data.order < 0)) {
+    errors.push('Order must be a non-negative integer');
+  }
+
+  ['start_at', 'due_at'].forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && !isValidDate(data[field])) {
+      errors.push(`${field} must be an ISO 8601 date or null`);
+    }
+  });
+
+  if (data.blocked_by !== undefined &&
+      (!Array.isArray(data.blocked_by) || !data.blocked_by.every(id => typeof id === 'string'))) {
+    errors.push('blocked_by must be an array of task IDs');
+  }
+
+  if (data.checklist !== undefined && !isUpdate && !isChecklistInput(data.checklist)) {
+    errors.push('Checklist must be an array of non-empty strings');
+  }
+
+  return errors;
+}
+
+// API Routes
+
+// GET /api/health - Liveness check for Docker (no authentication)
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.use('/api', authenticate);
+
+// GET /api/auth/me - Identity of the current API key
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    authEnabled: apiKeys.length > 0,
+    name: req.auth ? req.auth.name : null,
+    role: req.auth ? req.auth.role : null
+  });
+});
+
+// GET /api/boards - List boards with task counts
+app.get('/api/boards', async (req, res) => {
+  try {
+    res.json(boards.map(board => ({
+      ...board,
+      taskCount: tasks.filter(t => t.board_id === board.id).length
+    })));
+  } catch (error) {
+    console.error('Error fetching boards:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/boards - Create a board
+app.post('/api/boards', async (req, res) => {
+  try {
+    const errors = validateBoardInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const now = new Date().toISOString();
+    const board = {
+      id: uuidv4(),
+      name: req.body.name.trim(),
+      description: req.body.description || '',
+      columns: DEFAULT_COLUMNS.map(column => ({ ...column })),
+      transitions: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    boards.push(board);
+    await persist({ upsert: { boards: [board] } });
+
+    broadcastToClients({ type: 'board_created', board, timestamp: now });
+
+    res.status(201).json(board);
+  } catch (error) {
+    console.error('Error creating board:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/boards/:boardId - Get a board
+app.get('/api/boards/:boardId', async (req, res) => {
+  try {
+    const board = boards.find(b => b.id === req.params.boardId);
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+    res.json(board);
+  } catch (error) {
+    console.error('Error fetching board:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/boards/:boardId - Rename or describe a board
+app.patch('/api/boards/:boardId', async (req, res) => {
+  try {
+    const boardIndex = boards.findIndex(b => b.id === req.params.boardId);
+    if (boardIndex === -1) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+
+    const errors = validateBoardInput(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const board = {
+      ...boards[boardIndex],
+      name: req.body.name !== undefined ? req.body.name.trim() : boards[boardIndex].name,
+      description: req.body.description !== undefined ? req.body.description : boards[boardIndex].description,
+      updated_at: new Date().toISOString()
+    };
+
+    boards[boardIndex] = board;
+    await persist({ upsert: { boards: [board] } });
+
+    broadcastToClients({ type: 'board_updated', board, timestamp: board.updated_at });
+
+    res.json(board);
+  } catch (error) {
+    console.error('Error updating board:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/boards/:boardId - Delete an empty board
+app.delete('/api/boards/:boardId', requireRole('admin'), async (req, res) => {
+  try {
+    const boardIndex = boards.findIndex(b => b.id === req.params.boardId);
+    if (boardIndex === -1) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+
+    if (req.params.boardId === DEFAULT_BOARD_ID) {
+      return res.status(400).json({ error: 'The default board cannot be deleted' });
+    }
+
+    if (tasks.some(t => t.board_id === req.params.boardId)) {
+      return res.status(409).json({ error: 'Board still has tasks; move or delete them first' });
+    }
+
+    // Nothing can be restored onto a deleted board, so its trash goes with it
+    const [board] = boards.splice(boardIndex, 1);
+    const purged = trash.filter(record => record.board_id === board.id).map(record => record.id);
+    trash = trash.filter(record => record.board_id !== board.id);
+    await persist({ remove: { boards: [board.id], trash: purged } });
+
+    broadcastToClients({ type: 'board_deleted', board, timestamp: new Date().toISOString() });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting board:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/webhooks - List webhooks
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(webhooks.map(publicWebhook));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/webhooks - Register a webhook
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateWebhookInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const now = new Date().toISOString();
+    const webhook = {
+      id: uuidv4(),
+      url: req.body.url,
+      events: req.body.events || [...WEBHOOK_EVENTS],
+      board_id: req.body.board_id || null,
+      secret: req.body.secret || crypto.randomBytes(24).toString('hex'),
+      active: req.body.active !== undefined ? req.body.active : true,
+      created_at: now,
+      updated_at: now
+    };
+
+    webhooks.push(webhook);
+    await persist({ upsert: { webhooks: [webhook] } });
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/webhooks/:webhookId - Get a webhook
+app.get('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = webhooks.find(w => w.id === req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(publicWebhook(webhook));
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/webhooks/:webhookId - Update URL, events, board filter, secret or active flag
+app.patch('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const webhookIndex = webhooks.findIndex(w => w.id === req.params.webhookId);
+    if (webhookIndex === -1) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const errors = validateWebhookInput(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const webhook = { ...webhooks[webhookIndex], updated_at: new Date().toISOString() };
+    ['url', 'events', 'board_id', 'secret', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    });
+
+    webhooks[webhookIndex] = webhook;
+    await persist({ upsert: { webhooks: [webhook] } });
+
+    res.json(publicWebhook(webhook));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/webhooks/:webhookId - Remove a webhook and its delivery log
+app.delete('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const webhookIndex = webhooks.findIndex(w => w.id === req.params.webhookId);
+    if (webhookIndex === -1) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const [webhook] = webhooks.splice(webhookIndex, 1);
+    await persist({ remove: { webhooks: [webhook.id] } });
+    await webhookDispatcher.removeWebhook(webhook.id);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/webhooks/:webhookId/deliveries - Delivery log, newest first
+app.get('/api/webhooks/:webhookId/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    if (!webhooks.some(w => w.id === req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhookDispatcher.deliveriesFor(req.params.webhookId));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/webhooks/:webhookId/ping - Send a test event
+app.post('/api/webhooks/:webhookId/ping', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = webhooks.find(w => w.id === req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await webhookDispatcher.deliver(webhook, 'ping', {
+      webhook_id: webhook.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/sync/todo - State of the TODO file sync and its recent conflicts
+app.get('/api/sync/todo', async (req, res) => {
+  try {
+    if (!todoSync) {
+      return res.status(404).json({ error: 'TODO sync is not configured; set KANBAN_TODO_FILE' });
+    }
+    res.json({ board_id: TODO_BOARD, ...todoSync.status() });
+  } catch (error) {
+    console.error('Error fetching TODO sync status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/sync/todo - Sync the TODO file now instead of waiting for a change
+app.post('/api/sync/todo', async (req, res) => {
+  try {
+    if (!todoSync) {
+      return res.status(404).json({ error: 'TODO sync is not configured; set KANBAN_TODO_FILE' });
+    }
+    await todoSync.sync();
+    res.json({ board_id: TODO_BOARD, ...todoSync.status() });
+  } catch (error) {
+    console.error('Error syncing TODO file:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Board-scoped routes. Mounted at /api/boards/:boardId, and at /api for the
+// default board so existing clients keep working.
+const boardRouter = express.Router();
+
+// GET /tasks - List all tasks with filtering
+boardRouter.get('/tasks', async (req, res) => {
+  try {
+    // Archived tasks are listed only with ?archived=true
+    if (req.query.archived !== undefined && !['true', 'false'].includes(req.query.archived)) {
+      return res.status(400).json({ error: 'archived must be true or false' });
+    }
+    const archived = req.query.archived === 'true';
+    let filtered = tasks.filter(task => task.board_id === req.board.id && Boolean(task.archived_at) === archived);
+
+    // Filter by status
+    if (req.query.status) {
+      filtered = filtered.filter(task => task.status === req.query.status);
+    }
+
+    // Filter by priority
+    if (req.query.priority) {
+      filtered = filtered.filter(task => task.priority === req.query.priority);
+    }
+
+    // Filter by assignee
+    if (req.query.assignee) {
+      filtered = filtered.filter(task => task.assignee === req.query.assignee);
+    }
+
+    // Full-text search over title, description, tags and comments
+    if (req.query.search) {
+      const { hits } = searchIndex.search(req.query.search, { boardId: req.board.id, limit: Infinity });
+      const ids = new Set(hits.map(hit => hit.task.id));
+      filtered = filtered.filter(task => ids.has(task.id));
+    }
+
+    // Filter by due date
+    for (const param of ['due_before', 'due_after']) {
+      if (req.query[param] && !isValidDate(req.query[param])) {
+        return res.status(400).json({ error: `${param} must be an ISO 8601 date` });
+      }
+    }
+    if (req.query.due_before) {
+      const before = Date.parse(req.query.due_before);
+      filtered = filtered.filter(task => task.due_at && Date.parse(task.due_at) < before);
+    }
+    if (req.query.due_after) {
+      const after = Date.parse(req.query.due_after);
+      filtered = filtered.filter(task => task.due_at && Date.parse(task.due_at) > after);
+    }
+
+    // Filter to overdue (true) or not overdue (false) tasks
+    if (req.query.overdue !== undefined) {
+      const wanted = req.query.overdue === 'true';
+      filtered = filtered.filter(task => isOverdue(req.board, task) === wanted);
+    }
+
+    // Query language (see lib/query.js) and sorting; default is column order, then order
+    const ctx = queryContext(req);
+    let sorter;
+    try {
+      if (req.query.q) {
+        filtered = filtered.filter(parseQuery(req.query.q, ctx));
+      }
+      sorter = parseSort(req.query.sort || 'status,order', ctx);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    filtered.sort(sorter.compare);
+
+    // Pagination: limit with offset or cursor. Without limit every match is returned.
+    const { limit, offset, cursor } = req.query;
+    if (limit !== undefined || offset !== undefined || cursor !== undefined) {
+      const pageSize = limit !== undefined ? Number(limit) : MAX_PAGE_SIZE;
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+      }
+      if (offset !== undefined && cursor !== undefined) {
+        return res.status(400).json({ error: 'Use either offset or cursor, not both' });
+      }
+
+      let start = 0;
+      if (offset !== undefined) {
+        start = Number(offset);
+        if (!Number.isInteger(start) || start < 0) {
+          return res.status(400).json({ error: 'offset must be a non-negative integer' });
+        }
+      } else if (cursor !== undefined) {
+        const after = decodeCursor(cursor);
+        if (!after) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        start = filtered.findIndex(task => sorter.compareKeys(sorter.key(task), after) > 0);
+        if (start === -1) start = filtered.length;
+      }
+
+      const page = filtered.slice(start, start + pageSize);
+      res.set('X-Total-Count', String(filtered.length));
+      if (start + pageSize < filtered.length) {
+        res.set('X-Next-Cursor', encodeCursor(sorter.key(page[page.length - 1])));
+      }
+      return res.json(page);
+    }
+
+    res.json(filtered);
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /tasks/:id - Get single task
+boardRouter.get('/tasks/:id', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.set('ETag', taskEtag(task)).json(task);
+  } catch (error) {
+    console.error('Error fetching task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /tasks/:id/history - Get the change log of a task
+boardRouter.get('/tasks/:id/history', async (req, res) => {
+  try {
+    const entries = history.filter(entry =>
+      entry.task_id === req.params.id && entry.board_id === req.board.id
+    );
+    const taskExists = Boolean(findBoardTask(req));
+
+    // Deleted tasks keep their history so they can still be audited
+    if (!taskExists && entries.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /tasks/:id/dependencies - Dependency graph around a task: everything it
+// waits on and everything waiting on it, transitively
+boardRouter.get('/tasks/:id/dependencies', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const boardTasks = tasks.filter(t => t.board_id === req.board.id);
+    const byId = new Map(boardTasks.map(t => [t.id, t]));
+    const nodes = new Map([[task.id, task]]);
+    const edges = [];
+
+    // Walk upstream (blockers) and downstream (dependents) separately so
+    // unrelated tasks that merely share a blocker are left out
+    const walk = (start, neighbours) => {
+      const queue = [start];
+      const visited = new Set([start.id]);
+      while (queue.length > 0) {
+        const current = queue.shift();
+        neighbours(current).forEach(next => {
+          if (visited.has(next.id)) return;
+          visited.add(next.id);
+          nodes.set(next.id, next);
+          queue.push(next);
+        });
+      }
+    };
+    walk(task, t => (t.blocked_by || []).map(id => byId.get(id)).filter(Boolean));
+    walk(task, t => boardTasks.filter(other => (other.blocked_by || []).includes(t.id)));
+
+    nodes.forEach(node => {
+      (node.blocked_by || []).forEach(id => {
+        if (nodes.has(id)) edges.push({ from: id, to: node.id });
+      });
+    });
+
+    res.json({
+      task_id: task.id,
+      blocked: openBlockers(req.board, task).length > 0,
+      blocked_by: (task.blocked_by || []).filter(id => byId.has(id)),
+      blocks: boardTasks.filter(t => (t.blocked_by || []).includes(task.id)).map(t => t.id),
+      nodes: [...nodes.values()].map(node => ({
+        id: node.id,
+        title: node.title,
+        status: node.status,
+        finished: isFinished(req.board, node)
+      })),
+      edges
+    });
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The task changes below are shared by their REST routes and the socket
+// commands. Each takes a request (board, params, body, auth and headers) and
+// resolves to { status, body, etag }, which sendResult() turns into a response.
+function sendResult(res, { status, body, etag }) {
+  if (etag) res.set('ETag', etag);
+  if (body === null) {
+    res.status(status).send();
+  } else {
+    res.status(status).json(body);
+  }
+}
+
+// POST /tasks - Create new task
+async function createTask(req) {
+  const errors = validateTaskInput(req.body, req.board);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: errors.join('; ') } };
+  }
+
+  const newTask = newTaskFromInput(req.board, req.body, defaultAssignee(req, req.body));
+
+  const dateError = checkDateOrder(newTask) || checkDependencies(newTask);
+  if (dateError) {
+    return { status: 400, body: { error: dateError } };
+  }
+
+  const blocked = checkBlockers(req.board, newTask);
+  if (blocked) {
+    return { status: 409, body: blocked };
+  }
+
+  await insertTasks(req.board, [{ task: newTask, order: req.body.order }], getActor(req));
+
+  return { status: 201, body: newTask, etag: taskEtag(newTask) };
+}
+
+boardRouter.post('/tasks', async (req, res) => {
+  try {
+    sendResult(res, await createTask(req));
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /tasks/:id - Update task
+async function updateTask(req) {
+  const taskIndex = findBoardTaskIndex(req);
+  if (taskIndex === -1) {
+    return { status: 404, body: { error: 'Task not found' } };
+  }
+
+  if (isStale(req, tasks[taskIndex])) {
+    return { status: 412, body: { error: 'Task was changed by someone else', task: tasks[taskIndex] } };
+  }
+
+  if (tasks[taskIndex].archived_at) {
+    return { status: 409, body: { error: 'Task is archived; restore it first' } };
+  }
+
+  const errors = validateTaskInput(req.body, req.board, true);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: errors.join('; ') } };
+  }
+
+  if (req.body.status !== undefined) {
+    const transitionError = checkTransition(req.board, tasks[taskIndex].status, req.body.status);
+    if (transitionError) {
+      return { status: 409, body: { error: transitionError } };
+    }
+  }
+
+  const updatedTask = {
+    ...tasks[taskIndex],
+    ...req.body,
+    id: tasks[taskIndex].id, // Prevent ID change
+    board_id: tasks[taskIndex].board_id, // Tasks stay on their board
+    created_at: tasks[taskIndex].created_at, // Prevent created_at change
+    comments: tasks[taskIndex].comments || [], // Comments and the checklist have their own routes
+    checklist: tasks[taskIndex].checklist || [],
+    archived_at: null, // Archiving has its own routes
+    lease: tasks[taskIndex].lease || null, // So do claims
+    status_log: tasks[taskIndex].status_log || [], // And time tracking
+    time_entries: tasks[taskIndex].time_entries || [],
+    version: tasks[taskIndex].version + 1,
+    updated_at: new Date().toISOString()
+  };
+  logStatusChange(tasks[taskIndex], updatedTask);
+  settleFinished(req.board, updatedTask);
+
+  // Trim title if provided
+  if (req.body.title !== undefined) {
+    updatedTask.title = req.body.title.trim();
+  }
+
+  ['start_at', 'due_at'].forEach(field => {
+    if (req.body[field] !== undefined) updatedTask[field] = normalizeDate(req.body[field]);
+  });
+
+  if (req.body.blocked_by !== undefined) {
+    updatedTask.blocked_by = [...new Set(req.body.blocked_by)];
+  }
+
+  const dateError = checkDateOrder(updatedTask) || checkDependencies(updatedTask, tasks[taskIndex]);
+  if (dateError) {
+    return { status: 400, body: { error: dateError } };
+  }
+
+  if (updatedTask.status !== tasks[taskIndex].status) {
+    const blocked = checkBlockers(req.board, updatedTask);
+    if (blocked) {
+      return { status: 409, body: blocked };
+    }
+  }
+
+  // A new due date gets fresh reminders
+  updatedTask.due_notified = updatedTask.due_at === tasks[taskIndex].due_at
+    ? tasks[taskIndex].due_notified || null
+    : null;
+
+  const previousTask = tasks[taskIndex];
+  tasks[taskIndex] = updatedTask;
+
+  // Status and order changes renumber the affected columns
+  let siblings = [];
+  if (req.body.status !== undefined || req.body.order !== undefined) {
+    const index = targetIndex({ order: req.body.order }, previousTask, req.board.id, updatedTask.status);
+    siblings = repositionTask(previousTask, updatedTask, index);
+  }
+
+  const entry = recordHistory('updated', getActor(req), previousTask, updatedTask);
+  await persist({ upsert: { tasks: [updatedTask, ...siblings] }, history: entry ? [entry] : [] });
+
+  broadcastToClients({
+    type: 'task_updated',
+    task: updatedTask,
+    timestamp: updatedTask.updated_at
+  }, req.board.id);
+  if (siblings.length > 0) {
+    broadcastReordered(req.board.id, [previousTask.status, updatedTask.status]);
+  }
+  if (isFinished(req.board, updatedTask)) {
+    presence.clearTask(updatedTask.id);
+  }
+
+  return { status: 200, body: updatedTask, etag: taskEtag(updatedTask) };
+}
+
+boardRouter.patch('/tasks/:id', async (req, res) => {
+  try {
+    sendResult(res, await updateTask(req));
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /tasks/:id - Move a task to the trash
+async function deleteTask(req) {
+  const taskIndex = findBoardTaskIndex(req);
+  if (taskIndex === -1) {
+    return { status: 404, body: { error: 'Task not found' } };
+  }
+
+  if (isStale(req, tasks[taskIndex])) {
+    return { status: 412, body: { error: 'Task was changed by someone else', task: tasks[taskIndex] } };
+  }
+
+  await trashTasks(req.board, [tasks[taskIndex]], getActor(req), { explicit: true });
+
+  return { status: 204, body: null };
+}
+
+boardRouter.delete('/tasks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    sendResult(res, await deleteTask(req));
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /tasks/:id/comments - List comments on a task
+boardRouter.get('/tasks/:id/comments', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(task.comments || []);
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/comments - Add a comment / progress note
+async function addComment(req) {
+  const taskIndex = findBoardTaskIndex(req);
+  if (taskIndex === -1) {
+    return { status: 404, body: { error: 'Task not found' } };
+  }
+
+  if (typeof req.body.text !== 'string' || req.body.text.trim().length === 0) {
+    return { status: 400, body: { error: 'Comment text is required' } };
+  }
+
+  const comment = {
+    id: uuidv4(),
+    author: getActor(req),
+    text: req.body.text.trim(),
+    created_at: new Date().toISOString()
+  };
+
+  const previousTask = tasks[taskIndex];
+  const updatedTask = {
+    ...previousTask,
+    comments: [...(previousTask.comments || []), comment],
+    version: previousTask.version + 1,
+    updated_at: comment.created_at
+  };
+  tasks[taskIndex] = updatedTask;
+
+  const entry = recordItemHistory('commented', comment.author, updatedTask, 'comments', null, comment.text);
+  await persist({ upsert: { tasks: [updatedTask] }, history: [entry] });
+
+  broadcastToClients({
+    type: 'comment_added',
+    task_id: updatedTask.id,
+    board_id: req.board.id,
+    comment,
+    version: updatedTask.version,
+    updated_at: updatedTask.updated_at,
+    timestamp: comment.created_at
+  }, req.board.id);
+
+  return { status: 201, body: comment };
+}
+
+boardRouter.post('/tasks/:id/comments', async (req, res) => {
+  try {
+    sendResult(res, await addComment(req));
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /tasks/:id/comments/:commentId - Delete a comment
+boardRouter.delete('/tasks/:id/comments/:commentId', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const comments = tasks[taskIndex].comments || [];
+    const comment = comments.find(c => c.id === req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (req.auth && !hasRole(req.auth, 'admin') && comment.author !== req.auth.name) {
+      return res.status(403).json({ error: 'Only the author or an admin can delete this comment' });
+    }
+
+    const now = new Date().toISOString();
+    const updatedTask = {
+      ...tasks[taskIndex],
+      comments: comments.filter(c => c.id !== comment.id),
+      version: tasks[taskIndex].version + 1,
+      updated_at: now
+    };
+    tasks[taskIndex] = updatedTask;
+
+    const entry = recordItemHistory('comment_deleted', getActor(req), updatedTask, 'comments', comment.text, null);
+    await persist({ upsert: { tasks: [updatedTask] }, history: [entry] });
+
+    broadcastToClients({
+      type: 'comment_deleted',
+      task_id: updatedTask.id,
+      board_id: req.board.id,
+      comment,
+      version: updatedTask.version,
+      updated_at: now,
+      timestamp: now
+    }, req.board.id);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// How a checklist item appears in the history, e.g. "2. [x] Write tests"
+function checklistLabel(checklist, item) {
+  return `${checklist.indexOf(item) + 1}. [${item.done ? 'x' : ' '}] ${item.text}`;
+}
+
+// Store a changed checklist as a new version of the task, with a history entry
+// describing the item before and after (null when added or removed)
+async function saveChecklist(req, taskIndex, checklist, oldLabel, newLabel) {
+  const updatedTask = {
+    ...tasks[taskIndex],
+    checklist,
+    version: tasks[taskIndex].version + 1,
+    updated_at: new Date().toISOString()
+  };
+  tasks[taskIndex] = updatedTask;
+
+  const entry = recordItemHistory('updated', getActor(req), updatedTask, 'checklist', oldLabel, newLabel);
+  await persist({ upsert: { tasks: [updatedTask] }, history: [entry] });
+  broadcastChecklist(updatedTask);
+}
+
+// GET /tasks/:id/checklist - List checklist items in order
+boardRouter.get('/tasks/:id/checklist', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(task.checklist || []);
+  } catch (error) {
+    console.error('Error fetching checklist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/checklist - Add a checklist item (at the end, or at `index`)
+boardRouter.post('/tasks/:id/checklist', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (typeof req.body.text !== 'string' || req.body.text.trim().length === 0) {
+      return res.status(400).json({ error: 'Item text is required' });
+    }
+
+    if (req.body.index !== undefined && (!Number.isInteger(req.body.index) || req.body.index < 0)) {
+      return res.status(400).json({ error: 'Index must be a non-negative integer' });
+    }
+
+    const item = newChecklistItem(req.body.text);
+    const checklist = [...(tasks[taskIndex].checklist || [])];
+    checklist.splice(req.body.index !== undefined ? req.body.index : checklist.length, 0, item);
+    await saveChecklist(req, taskIndex, checklist, null, checklistLabel(checklist, item));
+
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('Error adding checklist item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /tasks/:id/checklist/:itemId - Edit, tick/untick or move an item
+boardRouter.patch('/tasks/:id/checklist/:itemId', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const checklist = [...(tasks[taskIndex].checklist || [])];
+    const itemIndex = checklist.findIndex(item => item.id === req.params.itemId);
+    if (itemIndex === -1) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const { text, done, index } = req.body;
+    if (text !== undefined && (typeof text !== 'string' || text.trim().length === 0)) {
+      return res.status(400).json({ error: 'Item text cannot be empty' });
+    }
+    if (done !== undefined && typeof done !== 'boolean') {
+      return res.status(400).json({ error: 'Done must be a boolean' });
+    }
+    if (index !== undefined && (!Number.isInteger(index) || index < 0)) {
+      return res.status(400).json({ error: 'Index must be a non-negative integer' });
+    }
+
+    const oldLabel = checklistLabel(checklist, checklist[itemIndex]);
+    const item = { ...checklist[itemIndex] };
+    if (text !== undefined) item.text = text.trim();
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.done_at = done ? new Date().toISOString() : null;
+      item.done_by = done ? getActor(req) : null;
+    }
+
+    checklist.splice(itemIndex, 1);
+    checklist.splice(index !== undefined ? index : itemIndex, 0, item);
+
+    const newLabel = checklistLabel(checklist, item);
+    if (newLabel !== oldLabel) {
+      await saveChecklist(req, taskIndex, checklist, oldLabel, newLabel);
+    }
+
+    res.json(item);
+  } catch (error) {
+    console.error('Error updating checklist item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /tasks/:id/checklist/:itemId - Remove a checklist item
+boardRouter.delete('/tasks/:id/checklist/:itemId', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const checklist = tasks[taskIndex].checklist || [];
+    const item = checklist.find(i => i.id === req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const remaining = checklist.filter(i => i !== item);
+    await saveChecklist(req, taskIndex, remaining, checklistLabel(checklist, item), null);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting checklist item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/move - Move task to new column
+async function moveTask(req) {
+  const taskIndex = findBoardTaskIndex(req);
+  if (taskIndex === -1) {
+    return { status: 404, body: { error: 'Task not found' } };
+  }
+
+  if (isStale(req, tasks[taskIndex])) {
+    return { status: 412, body: { error: 'Task was changed by someone else', task: tasks[taskIndex] } };
+  }
+
+  if (tasks[taskIndex].archived_at) {
+    return { status: 409, body: { error: 'Task is archived; restore it first' } };
+  }
+
+  if (!req.body.status) {
+    return { status: 400, body: { error: 'Status is required' } };
+  }
+
+  if (!getColumnIds(req.board).includes(req.body.status)) {
+    return { status: 400, body: { error: `Status must be one of: ${getColumnIds(req.board).join(', ')}` } };
+  }
+
+  if (req.body.order !== undefined && (!Number.isInteger(req.body.order) || req.body.order < 0)) {
+    return { status: 400, body: { error: 'Order must be a non-negative integer' } };
+  }
+
+  if (req.body.before_id !== undefined && req.body.before_id !== null && typeof req.body.before_id !== 'string') {
+    return { status: 400, body: { error: 'before_id must be a task ID or null' } };
+  }
+
+  const transitionError = checkTransition(req.board, tasks[taskIndex].status, req.body.status);
+  if (transitionError) {
+    return { status: 409, body: { error: transitionError } };
+  }
+
+  if (req.body.status !== tasks[taskIndex].status) {
+    const blocked = checkBlockers(req.board, { ...tasks[taskIndex], status: req.body.status });
+    if (blocked) {
+      return { status: 409, body: blocked };
+    }
+  }
+
+  const previousTask = tasks[taskIndex];
+  const index = targetIndex(req.body, previousTask, req.board.id, req.body.status);
+  const updatedTask = {
+    ...previousTask,
+    status: req.body.status,
+    version: previousTask.version + 1,
+    updated_at: new Date().toISOString()
+  };
+  logStatusChange(previousTask, updatedTask);
+  settleFinished(req.board, updatedTask);
+
+  tasks[taskIndex] = updatedTask;
+  const siblings = repositionTask(previousTask, updatedTask, index);
+  const entry = recordHistory('moved', getActor(req), previousTask, updatedTask);
+  await persist({ upsert: { tasks: [updatedTask, ...siblings] }, history: entry ? [entry] : [] });
+
+  broadcastToClients({
+    type: 'task_moved',
+    task: updatedTask,
+    timestamp: updatedTask.updated_at
+  }, req.board.id);
+  broadcastReordered(req.board.id, [previousTask.status, updatedTask.status]);
+  if (isFinished(req.board, updatedTask)) {
+    presence.clearTask(updatedTask.id);
+  }
+
+  return { status: 200, body: updatedTask, etag: taskEtag(updatedTask) };
+}
+
+boardRouter.post('/tasks/:id/move', async (req, res) => {
+  try {
+    sendResult(res, await moveTask(req));
+  } catch (error) {
+    console.error('Error moving task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /presence - Who is on the board: clients connected over the WebSocket,
+// and agents with the task they report working on
+boardRouter.get('/presence', async (req, res) => {
+  try {
+    res.json(presence.list(req.board.id));
+  } catch (error) {
+    console.error('Error fetching presence:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/activity - Report working on a task, with an optional
+// { text }. Replaces the caller's previous activity on the board, and lasts
+// two minutes unless reported again.
+boardRouter.post('/tasks/:id/activity', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (task.archived_at || isFinished(req.board, task)) {
+      return res.status(409).json({ error: 'Task is not open' });
+    }
+
+    const text = activityText(req.body.text);
+    if (text === null) {
+      return res.status(400).json({ error: `Text must be a string of at most ${MAX_ACTIVITY_LENGTH} characters` });
+    }
+
+    res.json(presence.setActivity(req.board.id, getActor(req), { taskId: task.id, text }));
+  } catch (error) {
+    console.error('Error reporting activity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /tasks/:id/activity - Stop reporting work on a task
+boardRouter.delete('/tasks/:id/activity', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    presence.clearActivity(req.board.id, getActor(req), task.id);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error clearing activity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/claim - Claim a task: the caller becomes its assignee for
+// ttl_seconds (default 300), and must renew the claim before it runs out.
+// Claiming again while holding the claim renews it; someone else's live
+// claim is a 409.
+boardRouter.post('/tasks/:id/claim', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (isStale(req, task)) {
+      return res.status(412).json({ error: 'Task was changed by someone else', task });
+    }
+
+    if (task.archived_at) {
+      return res.status(409).json({ error: 'Task is archived; restore it first' });
+    }
+
+    if (isFinished(req.board, task)) {
+      return res.status(409).json({ error: 'Task is already finished' });
+    }
+
+    const ttl = leaseSeconds(req.body);
+    if (ttl === null) {
+      return res.status(400).json({ error: `ttl_seconds must be a whole number from 1 to ${MAX_LEASE_SECONDS}` });
+    }
+
+    const actor = getActor(req);
+    if (hasActiveLease(task) && task.lease.holder !== actor) {
+      return res.status(409).json({
+        error: `Task is claimed by ${task.lease.holder} until ${task.lease.expires_at}`,
+        lease: task.lease
+      });
+    }
+
+    const claimed = task.lease && task.lease.holder === actor
+      ? await renewLease(task, ttl)
+      : await claimTask(req.board, task, actor, ttl);
+    res.set('ETag', taskEtag(claimed)).json(claimed);
+  } catch (error) {
+    console.error('Error claiming task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/claim-next - Claim the most urgent unclaimed task of a column
+// (`status`, default todo): highest priority first, then the earliest due
+// date, then board order. Tasks with open blockers or assigned to someone
+// else are passed over. 404 when there is nothing to claim.
+boardRouter.post('/tasks/claim-next', async (req, res) => {
+  try {
+    const columnIds = getColumnIds(req.board);
+    const status = req.body.status || (columnIds.includes('todo') ? 'todo' : defaultStatus(req.board));
+    if (!columnIds.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${columnIds.join(', ')}` });
+    }
+
+    const ttl = leaseSeconds(req.body);
+    if (ttl === null) {
+      return res.status(400).json({ error: `ttl_seconds must be a whole number from 1 to ${MAX_LEASE_SECONDS}` });
+    }
+
+    const actor = getActor(req);
+    const dueTime = task => (task.due_at ? Date.parse(task.due_at) : Infinity);
+    const [next] = tasks
+      .filter(task =>
+        task.board_id === req.board.id &&
+        task.status === status &&
+        !task.archived_at &&
+        !hasActiveLease(task) &&
+        (!task.assignee || task.assignee === actor) &&
+        openBlockers(req.board, task).length === 0
+      )
+      .sort((a, b) =>
+        VALID_PRIORITIES.indexOf(b.priority) - VALID_PRIORITIES.indexOf(a.priority) ||
+        dueTime(a) - dueTime(b) ||
+        a.order - b.order
+      );
+
+    if (!next) {
+      return res.status(404).json({ error: `No unclaimed tasks in ${status}` });
+    }
+
+    const claimed = await claimTask(req.board, next, actor, ttl);
+    res.set('ETag', taskEtag(claimed)).json(claimed);
+  } catch (error) {
+    console.error('Error claiming next task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/renew - Heartbeat: extend the caller's claim to ttl_seconds from now
+boardRouter.post('/tasks/:id/renew', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!task.lease || task.lease.holder !== getActor(req)) {
+      return res.status(409).json({ error: 'You do not hold a claim on this task', lease: task.lease || null });
+    }
+
+    const ttl = leaseSeconds(req.body);
+    if (ttl === null) {
+      return res.status(400).json({ error: `ttl_seconds must be a whole number from 1 to ${MAX_LEASE_SECONDS}` });
+    }
+
+    const renewed = await renewLease(task, ttl);
+    res.set('ETag', taskEtag(renewed)).json(renewed);
+  } catch (error) {
+    console.error('Error renewing claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/release - Give a claimed task back: it returns to the column
+// and assignee it had when claimed. Only the holder (or an admin) may.
+boardRouter.post('/tasks/:id/release', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (isStale(req, task)) {
+      return res.status(412).json({ error: 'Task was changed by someone else', task });
+    }
+
+    if (!task.lease) {
+      return res.status(409).json({ error: 'Task is not claimed' });
+    }
+
+    const actor = getActor(req);
+    if (task.lease.holder !== actor && req.auth && !hasRole(req.auth, 'admin')) {
+      return res.status(403).json({ error: `Claimed by ${task.lease.holder}; only they or an admin can release it` });
+    }
+
+    const released = await endLease(req.board, task, 'released', actor);
+    res.set('ETag', taskEtag(released)).json(released);
+  } catch (error) {
+    console.error('Error releasing claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /tasks/:id/time - Time logged on a task, in total (running timers up to
+// now) and entry by entry
+boardRouter.get('/tasks/:id/time', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const now = Date.now();
+    const entries = task.time_entries || [];
+    res.json({
+      task_id: task.id,
+      total_seconds: Math.round(entries.reduce((sum, entry) => sum + trackedSeconds(entry, 0, now), 0)),
+      running: entries.filter(entry => !entry.stopped_at).length,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Optional note on a time entry; returns an error message or null
+function checkTimeNote(note) {
+  if (note === undefined) return null;
+  if (typeof note !== 'string' || note.trim().length > MAX_TIME_NOTE_LENGTH) {
+    return `note must be a string of at most ${MAX_TIME_NOTE_LENGTH} characters`;
+  }
+  return null;
+}
+
+// POST /tasks/:id/time/start - Start the caller's timer on a task ({ note }).
+// Everyone has their own timer; finishing the task stops them all.
+boardRouter.post('/tasks/:id/time/start', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = tasks[taskIndex];
+    if (task.archived_at) {
+      return res.status(409).json({ error: 'Task is archived; restore it first' });
+    }
+
+    if (isFinished(req.board, task)) {
+      return res.status(409).json({ error: 'Task is already finished' });
+    }
+
+    const noteError = checkTimeNote(req.body.note);
+    if (noteError) {
+      return res.status(400).json({ error: noteError });
+    }
+
+    const actor = getActor(req);
+    const running = runningEntry(task, actor);
+    if (running) {
+      return res.status(409).json({ error: 'Your timer is already running on this task', entry: running });
+    }
+
+    const entry = {
+      id: uuidv4(),
+      actor,
+      started_at: new Date().toISOString(),
+      stopped_at: null,
+      note: req.body.note ? req.body.note.trim() : ''
+    };
+    tasks[taskIndex] = { ...task, time_entries: [...(task.time_entries || []), entry] };
+    await persist({ upsert: { tasks: [tasks[taskIndex]] } });
+
+    broadcastTimeEntries(tasks[taskIndex]);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Error starting timer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/time/stop - Stop the caller's timer on a task; a note given
+// here replaces the one from the start
+boardRouter.post('/tasks/:id/time/stop', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const noteError = checkTimeNote(req.body.note);
+    if (noteError) {
+      return res.status(400).json({ error: noteError });
+    }
+
+    const task = tasks[taskIndex];
+    const running = runningEntry(task, getActor(req));
+    if (!running) {
+      return res.status(409).json({ error: 'You have no timer running on this task' });
+    }
+
+    const stopped = {
+      ...running,
+      stopped_at: new Date().toISOString(),
+      note: req.body.note !== undefined ? req.body.note.trim() : running.note
+    };
+    tasks[taskIndex] = {
+      ...task,
+      time_entries: task.time_entries.map(entry => entry === running ? stopped : entry)
+    };
+    await persist({ upsert: { tasks: [tasks[taskIndex]] } });
+
+    broadcastTimeEntries(tasks[taskIndex]);
+
+    res.json(stopped);
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/archive - Archive every finished task of the board
+boardRouter.post('/tasks/archive', async (req, res) => {
+  try {
+    const finished = tasks.filter(task =>
+      task.board_id === req.board.id && !task.archived_at && isFinished(req.board, task)
+    );
+    const archived = finished.length > 0 ? await archiveTasks(req.board, finished, getActor(req)) : [];
+
+    res.json({ archived: archived.length });
+  } catch (error) {
+    console.error('Error archiving finished tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/archive - Archive a finished task
+boardRouter.post('/tasks/:id/archive', async (req, res) => {
+  try {
+    const task = findBoardTask(req);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (isStale(req, task)) {
+      return res.status(412).json({ error: 'Task was changed by someone else', task });
+    }
+
+    if (task.archived_at) {
+      return res.status(409).json({ error: 'Task is already archived' });
+    }
+
+    if (!isFinished(req.board, task)) {
+      return res.status(409).json({ error: 'Only finished tasks can be archived' });
+    }
+
+    const [archivedTask] = await archiveTasks(req.board, [task], getActor(req));
+    res.set('ETag', taskEtag(archivedTask)).json(archivedTask);
+  } catch (error) {
+    console.error('Error archiving task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/:id/restore - Bring an archived task back to the end of its column
+boardRouter.post('/tasks/:id/restore', async (req, res) => {
+  try {
+    const taskIndex = findBoardTaskIndex(req);
+    if (taskIndex === -1) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (isStale(req, tasks[taskIndex])) {
+      return res.status(412).json({ error: 'Task was changed by someone else', task: tasks[taskIndex] });
+    }
+
+    const previousTask = tasks[taskIndex];
+    if (!previousTask.archived_at) {
+      return res.status(409).json({ error: 'Task is not archived' });
+    }
+
+    const now = new Date().toISOString();
+    const restoredTask = { ...previousTask, archived_at: null, version: previousTask.version + 1, updated_at: now };
+    tasks[taskIndex] = restoredTask;
+    const siblings = renumberColumn(req.board.id, restoredTask.status, restoredTask)
+      .filter(t => t !== restoredTask);
+
+    const entry = recordHistory('restored', getActor(req), previousTask, restoredTask);
+    await persist({ upsert: { tasks: [restoredTask, ...siblings] }, history: [entry] });
+
+    broadcastToClients({
+      type: 'task_restored',
+      task: restoredTask,
+      timestamp: now
+    }, req.board.id);
+
+    res.set('ETag', taskEtag(restoredTask)).json(restoredTask);
+  } catch (error) {
+    console.error('Error restoring task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /search - Ranked full-text search with highlighted snippets
+boardRouter.get('/search', async (req, res) => {
+  try {
+    if (typeof req.query.q !== 'string' || req.query.q.trim().length === 0) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_SEARCH_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}` });
+    }
+
+    const { total, hits } = searchIndex.search(req.query.q, {
+      boardId: req.board.id,
+      filter: task => !task.archived_at,
+      limit
+    });
+    res.json({ query: req.query.q, total, hits });
+  } catch (error) {
+    console.error('Error searching tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /stats - Get statistics
+boardRouter.get('/stats', async (req, res) => {
+  try {
+    const byStatus = {};
+    getColumns(req.board).forEach(column => { byStatus[column.id] = 0; });
+
+    const byPriority = {
+      low: 0,
+      medium: 0,
+      high: 0,
+      critical: 0
+    };
+
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    let recentlyCompleted = 0;
+
+    const boardTasks = tasks.filter(task => task.board_id === req.board.id && !task.archived_at);
+    const archived = tasks.filter(task => task.board_id === req.board.id && task.archived_at).length;
+
+    boardTasks.forEach(task => {
+      byStatus[task.status]++;
+      byPriority[task.priority]++;
+
+      if (isFinished(req.board, task) && finishedAt(task) >= oneDayAgo) {
+        recentlyCompleted++;
+      }
+    });
+
+    res.json({
+      total: boardTasks.length,
+      byStatus,
+      byPriority,
+      recentlyCompleted,
+      archived
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /metrics?days=30 - Flow metrics over the last `days` days (see
+// flowMetrics), for the whole board and per assignee. Archived tasks count,
+// since retention archives finished ones. Durations are in seconds.
+boardRouter.get('/metrics', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_METRICS_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_METRICS_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_METRICS_DAYS}` });
+    }
+
+    const to = Date.now();
+    const from = to - days * 24 * 60 * 60 * 1000;
+    const boardTasks = tasks.filter(task => task.board_id === req.board.id);
+    const assignees = [...new Set(boardTasks.map(task => task.assignee || ''))].sort();
+
+    const byAssignee = assignees
+      .map(assignee => ({
+        assignee: assignee || null,
+        ...flowMetrics(req.board, boardTasks.filter(task => (task.assignee || '') === assignee), from, to)
+      }))
+      // Leave out people with nothing in the window
+      .filter(metrics => metrics.throughput.finished > 0 || metrics.wip_age.count > 0 || metrics.tracked_seconds > 0);
+
+    res.json({
+      board_id: req.board.id,
+      days,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      ...flowMetrics(req.board, boardTasks, from, to),
+      by_assignee: byAssignee
+    });
+  } catch (error) {
+    console.error('Error computing metrics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /tasks/bulk - Bulk create tasks
+boardRouter.post('/tasks/bulk', async (req, res) => {
+  try {
+    if (!req.body.tasks || !Array.isArray(req.body.tasks)) {
+      return res.status(400).json({ error: 'Body must contain a "tasks" array' });
+    }
+
+    const entries = [];
+    const errors = [];
+
+    for (let i = 0; i < req.body.tasks.length; i++) {
+      const taskData = req.body.tasks[i];
+      const validationErrors = validateTaskInput(taskData, req.board);
+
+      if (validationErrors.length > 0) {
+        errors.push(`Task ${i}: ${validationErrors.join('; ')}`);
+        continue;
+      }
+
+      const dateError = checkDateOrder(taskData);
+      if (dateError) {
+        errors.push(`Task ${i}: ${dateError}`);
+        continue;
+      }
+
+      const newTask = newTaskFromInput(req.board, taskData, defaultAssignee(req, taskData));
+
+      const dependencyError = checkDependencies(newTask);
+      const blocked = !dependencyError && checkBlockers(req.board, newTask);
+      if (dependencyError || blocked) {
+        errors.push(`Task ${i}: ${dependencyError || blocked.error}`);
+        continue;
+      }
+
+      entries.push({ task: newTask, order: taskData.order });
+    }
+
+    if (errors.length > 0 && entries.length === 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const createdTasks = await insertTasks(req.board, entries, getActor(req));
+
+    const response = { tasks: createdTasks };
+    if (errors.length > 0) {
+      response.errors = errors;
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    console.error('Error bulk creating tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /events - Server-Sent Events stream of the board's events, the same ones
+// WebSocket clients get. Each event's id is a cursor, so a reconnecting
+// EventSource (Last-Event-ID, or ?last_event_id=) is sent what it missed, or
+// a `reset` event when those events are no longer kept.
+boardRouter.get('/events', (req, res) => {
+  try {
+    const boardId = req.board.id;
+    const send = (type, cursor, data) => {
+      res.write(`id: ${cursor}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const sendEvent = message => send(message.type, eventCursor(message.seq), message);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    if (lastEventId) {
+      const seq = cursorSeq(lastEventId);
+      const missed = seq === null ? null : eventLog.since(seq, boardId);
+      if (missed) {
+        missed.forEach(sendEvent);
+      } else {
+        send('reset', eventCursor(eventLog.seq), {
+          type: 'reset',
+          reason: 'Missed events are no longer available; reload the board'
+        });
+      }
+    }
+
+    const unsubscribe = eventLog.subscribe((message, eventBoardId) => {
+      if (!eventBoardId || eventBoardId === boardId) sendEvent(message);
+    });
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+
+    res.on('close', () => {
+      unsubscribe();
+      clearInterval(keepalive);
+    });
+  } catch (error) {
+    console.error('Error streaming events:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    else res.end();
+  }
+});
+
+// GET /changes?since=<cursor>&timeout=<seconds> - Long-poll for the board's
+// events after a cursor. Answers at once when there are some, otherwise with
+// the first one to happen, or with none when the timeout passes. Without
+// `since`, returns the cursor to start from. `reset: true` means events were
+// lost (or the server restarted): re-read the board, then poll from `cursor`.
+boardRouter.get('/changes', async (req, res) => {
+  try {
+    const timeout = req.query.timeout === undefined ? CHANGES_DEFAULT_TIMEOUT_S : Number(req.query.timeout);
+    if (!Number.isInteger(timeout) || timeout < 0 || timeout > CHANGES_MAX_TIMEOUT_S) {
+      return res.status(400).json({ error: `timeout must be a whole number of seconds from 0 to ${CHANGES_MAX_TIMEOUT_S}` });
+    }
+
+    if (req.query.since === undefined) {
+      return res.json({ cursor: eventCursor(eventLog.seq), reset: false, events: [] });
+    }
+
+    const boardId = req.board.id;
+    const seq = cursorSeq(req.query.since);
+    let events = seq === null ? null : eventLog.since(seq, boardId);
+    if (!events) {
+      return res.json({ cursor: eventCursor(eventLog.seq), reset: true, events: [] });
+    }
+
+    if (events.length === 0 && timeout > 0) {
+      await new Promise(resolve => {
+        const finish = () => {
+          clearTimeout(timer);
+          unsubscribe();
+          resolve();
+        };
+        const timer = setTimeout(finish, timeout * 1000);
+        // A change broadcasts several events in one go; answering on the next
+        // tick returns them together
+        const unsubscribe = eventLog.subscribe((message, eventBoardId) => {
+          if (!eventBoardId || eventBoardId === boardId) setImmediate(finish);
+        });
+        res.on('close', finish);
+      });
+      if (res.destroyed) return;
+      events = eventLog.since(seq, boardId);
+    }
+
+    res.json({ cursor: eventCursor(eventLog.seq), reset: !events, events: events || [] });
+  } catch (error) {
+    console.error('Error fetching changes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /export?format=csv|markdown|json - Download the board's tasks
+boardRouter.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const includeArchived = req.query.include_archived === 'true';
+    const columnIds = getColumnIds(req.board);
+    const boardTasks = tasks
+      .filter(task => task.board_id === req.board.id && (includeArchived || !task.archived_at))
+      .sort((a, b) => columnIds.indexOf(a.status) - columnIds.indexOf(b.status) || a.order - b.order);
+
+    let file;
+    try {
+      file = exportTasks(format, boardTasks, req.board);
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${req.board.id}-tasks-${date}.${file.extension}"`);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rebuild imported comments instead of trusting the file: every comment gets a
+// fresh ID, and with authentication on the importing key becomes the author,
+// the same way X-Actor is only honoured while authentication is off
+function importComments(req, comments, now) {
+  const actor = getActor(req);
+  return comments
+    .filter(comment => comment && typeof comment.text === 'string' && comment.text.trim().length > 0)
+    .map(comment => ({
+      id: uuidv4(),
+      author: !req.auth && typeof comment.author === 'string' && comment.author.trim()
+        ? comment.author.trim()
+        : actor,
+      text: comment.text.trim(),
+      created_at: isValidDate(comment.created_at) ? normalizeDate(comment.created_at) : now
+    }));
+}
+
+// POST /import - Create tasks from a CSV, Markdown or JSON export.
+// { format, data, dry_run }: with dry_run nothing is saved and the response
+// previews the tasks that would be created. Rows with errors are reported
+// and left out; rows whose ID is already on the board are skipped.
+boardRouter.post('/import', async (req, res) => {
+  try {
+    const { format, data } = req.body;
+    const dryRun = req.body.dry_run === true || req.query.dry_run === 'true';
+
+    if (data === undefined || data === null || data === '') {
+      return res.status(400).json({ error: 'data is required' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseImport(format, data, getColumns(req.board));
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const { errors, skipped } = parsed;
+    const actor = getActor(req);
+    const now = new Date().toISOString();
+    const imported = [];
+    const newIds = new Map(); // ID in the import -> ID of the created task
+
+    parsed.rows.forEach(row => {
+      const onBoard = t => t.id === row.id && t.board_id === req.board.id;
+      if (row.id && (tasks.some(onBoard) || trash.some(onBoard))) {
+        skipped.push({ row: row.row, reason: `"${row.task.title}" is already on the board` });
+        return;
+      }
+
+      const validationErrors = validateTaskInput(row.task, req.board);
+      const dateError = validationErrors.length === 0 && checkDateOrder(row.task);
+      if (validationErrors.length > 0 || dateError) {
+        errors.push({ row: row.row, error: dateError || validationErrors.join('; ') });
+        return;
+      }
+
+      const data = { ...row.task, checklist: row.checklist.map(item => item.text) };
+      const task = newTaskFromInput(req.board, data, defaultAssignee(req, data));
+      task.checklist.forEach((item, i) => {
+        if (!row.checklist[i].done) return;
+        Object.assign(item, { done: true, done_at: now, done_by: actor });
+      });
+      task.comments = importComments(req, row.comments, now);
+
+      if (row.id) newIds.set(row.id, task.id);
+      imported.push({ task, blockedBy: row.blocked_by });
+    });
+
+    // Dependencies may point at tasks of the same import or already on the
+    // board; others are dropped, as is any link that would close a cycle
+    const importedById = new Map(imported.map(({ task }) => [task.id, task]));
+    const reaches = (from, target) => from === target ||
+      (importedById.has(from) && importedById.get(from).blocked_by.some(id => reaches(id, target)));
+    imported.forEach(({ task, blockedBy }) => {
+      blockedBy
+        .map(id => newIds.get(id) || (tasks.some(t => t.id === id && t.board_id === req.board.id) ? id : null))
+        .filter(id => id && !task.blocked_by.includes(id) && !reaches(id, task.id))
+        .forEach(id => task.blocked_by.push(id));
+    });
+
+    errors.sort((a, b) => a.row - b.row);
+    skipped.sort((a, b) => a.row - b.row);
+    const created = imported.map(({ task }) => task);
+
+    if (dryRun) {
+      return res.json({ dry_run: true, created: created.length, skipped, errors, tasks: created });
+    }
+
+    if (created.length === 0 && errors.length > 0) {
+      return res.status(400).json({ error: 'No rows could be imported', skipped, errors });
+    }
+
+    if (created.length > 0) {
+      await insertTasks(req.board, created.map(task => ({ task })), actor);
+    }
+
+    res.status(created.length > 0 ? 201 : 200).json({ dry_run: false, created: created.length, skipped, errors, tasks: created });
+  } catch (error) {
+    console.error('Error importing tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /tasks?status=done - Archive the board's finished tasks. Kept for
+// older scripts; it does what POST /tasks/archive does and destroys nothing.
+boardRouter.delete('/tasks', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.query.status !== 'done') {
+      return res.status(400).json({ error: 'Only status=done is supported for bulk delete' });
+    }
+
+    const finished = tasks.filter(task =>
+      task.board_id === req.board.id && !task.archived_at && isFinished(req.board, task)
+    );
+    const archived = finished.length > 0 ? await archiveTasks(req.board, finished, getActor(req)) : [];
+
+    res.json({ archived: archived.length });
+  } catch (error) {
+    console.error('Error clearing done tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /trash - Deleted tasks of the board, most recently deleted first
+boardRouter.get('/trash', async (req, res) => {
+  try {
+    const records = trash
+      .filter(record => record.board_id === req.board.id)
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    res.json(records);
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /trash/:id/restore - Put a deleted task back at the end of its column
+boardRouter.post('/trash/:id/restore', async (req, res) => {
+  try {
+    const record = trash.find(r => r.id === req.params.id && r.board_id === req.board.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Task not found in trash' });
+    }
+
+    const { deleted_at: deletedAt, deleted_by: deletedBy, ...task } = record;
+    const now = new Date().toISOString();
+    const restoredTask = {
+      ...task,
+      // Columns can be removed while a task is in the trash
+      status: getColumnIds(req.board).includes(task.status) ? task.status : defaultStatus(req.board),
+      version: task.version + 1,
+      updated_at: now
+    };
+    logStatusChange(task, restoredTask);
+
+    trash = trash.filter(r => r !== record);
+    tasks.push(restoredTask);
+    const siblings = renumberColumn(req.board.id, restoredTask.status, restoredTask)
+      .filter(t => t !== restoredTask);
+
+    const entry = recordHistory('restored', getActor(req), null, restoredTask);
+    await persist({
+      upsert: { tasks: [restoredTask, ...siblings] },
+      remove: { trash: [record.id] },
+      history: [entry]
+    });
+
+    broadcastToClients({
+      type: 'task_restored',
+      task: restoredTask,
+      timestamp: now
+    }, req.board.id);
+
+    res.set('ETag', taskEtag(restoredTask)).json(restoredTask);
+  } catch (error) {
+    console.error('Error restoring task from trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /trash/:id - Permanently delete a task from the trash
+boardRouter.delete('/trash/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const record = trash.find(r => r.id === req.params.id && r.board_id === req.board.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Task not found in trash' });
+    }
+
+    trash = trash.filter(r => r !== record);
+    await persist({ remove: { trash: [record.id] } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error purging task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /trash - Empty the board's trash
+boardRouter.delete('/trash', requireRole('admin'), async (req, res) => {
+  try {
+    const purged = trash.filter(record => record.board_id === req.board.id);
+    trash = trash.filter(record => record.board_id !== req.board.id);
+    await persist({ remove: { trash: purged.map(record => record.id) } });
+
+    res.json({ purged: purged.length });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /columns - List the board's columns in display order
+boardRouter.get('/columns', async (req, res) => {
+  try {
+    res.json(getColumns(req.board));
+  } catch (error) {
+    console.error('Error fetching columns:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace a board in the boards array and tell its subscribers about the new workflow
+async function saveBoardWorkflow(board) {
+  const updatedBoard = { ...board, updated_at: new Date().toISOString() };
+  boards[boards.findIndex(b => b.id === board.id)] = updatedBoard;
+  await persist({ upsert: { boards: [updatedBoard] } });
+
+  broadcastToClients({
+    type: 'columns_updated',
+    board_id: updatedBoard.id,
+    columns: getColumns(updatedBoard),
+    transitions: updatedBoard.transitions,
+    timestamp: updatedBoard.updated_at
+  }, updatedBoard.id);
+
+  return updatedBoard;
+}
+
+// POST /columns - Add a column
+boardRouter.post('/columns', async (req, res) => {
+  try {
+    const errors = validateColumnInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const id = req.body.id || req.body.label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!id) {
+      return res.status(400).json({ error: 'Could not derive a column ID from the label; provide an id' });
+    }
+    if (req.board.columns.some(column => column.id === id)) {
+      return res.status(409).json({ error: `Column ${id} already exists` });
+    }
+
+    const column = {
+      id,
+      label: req.body.label.trim(),
+      order: req.body.order !== undefined
+        ? req.body.order
+        : Math.max(-1, ...req.board.columns.map(c => c.order)) + 1,
+      color: req.body.color || '#8b949e',
+      icon: req.body.icon || ''
+    };
+
+    await saveBoardWorkflow({ ...req.board, columns: [...req.board.columns, column] });
+
+    res.status(201).json(column);
+  } catch (error) {
+    console.error('Error creating column:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /columns/:columnId - Relabel, reorder or recolor a column
+boardRouter.patch('/columns/:columnId', async (req, res) => {
+  try {
+    const existing = req.board.columns.find(c => c.id === req.params.columnId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
+
+    const { id, ...changes } = req.body;
+    if (id !== undefined && id !== existing.id) {
+      return res.status(400).json({ error: 'Column ID cannot be changed' });
+    }
+
+    const errors = validateColumnInput(changes, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const column = {
+      ...existing,
+      label: changes.label !== undefined ? changes.label.trim() : existing.label,
+      order: changes.order !== undefined ? changes.order : existing.order,
+      color: changes.color !== undefined ? changes.color : existing.color,
+      icon: changes.icon !== undefined ? changes.icon : existing.icon
+    };
+
+    await saveBoardWorkflow({
+      ...req.board,
+      columns: req.board.columns.map(c => (c.id === column.id ? column : c))
+    });
+
+    res.json(column);
+  } catch (error) {
+    console.error('Error updating column:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /columns/:columnId - Remove an empty column
+boardRouter.delete('/columns/:columnId', requireRole('admin'), async (req, res) => {
+  try {
+    const columnId = req.params.columnId;
+    if (!req.board.columns.some(c => c.id === columnId)) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
+
+    if (req.board.columns.length === 1) {
+      return res.status(400).json({ error: 'A board needs at least one column' });
+    }
+
+    if (tasks.some(t => t.board_id === req.board.id && t.status === columnId)) {
+      return res.status(409).json({ error: 'Column still has tasks (archived ones included); move them first' });
+    }
+
+    // Drop the column from the workflow as well
+    let transitions = req.board.transitions;
+    if (transitions) {
+      transitions = {};
+      Object.entries(req.board.transitions).forEach(([from, targets]) => {
+        if (from !== columnId) {
+          transitions[from] = targets.filter(target => target !== columnId);
+        }
+      });
+    }
+
+    await saveBoardWorkflow({
+      ...req.board,
+      columns: req.board.columns.filter(c => c.id !== columnId),
+      transitions
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting column:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /transitions - Allowed moves between columns (null = any move allowed)
+boardRouter.get('/transitions', async (req, res) => {
+  res.json({ transitions: req.board.transitions });
+});
+
+// PUT /transitions - Replace the board's workflow
+boardRouter.put('/transitions', requireRole('admin'), async (req, res) => {
+  try {
+    const transitions = req.body.transitions === undefined ? null : req.body.transitions;
+    const errors = validateTransitions(transitions, req.board);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const board = await saveBoardWorkflow({ ...req.board, transitions });
+
+    res.json({ transitions: board.transitions });
+  } catch (error) {
+    console.error('Error updating transitions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A template's previous task still needs doing: it exists and hasn't reached
+// the last column of its board
+function hasOpenInstance(template) {
+  const board = boards.find(b => b.id === template.board_id);
+  const task = tasks.find(t => t.id === template.last_task_id);
+  if (!board || !task) return false;
+
+  return !isFinished(board, task);
+}
+
+// Create the next task of a recurring template and save it together with the
+// template's bookkeeping, so a crash can't produce a duplicate on restart
+async function createRecurringInstance(template, actor, nextRunAt) {
+  const board = boards.find(b => b.id === template.board_id);
+  const now = new Date().toISOString();
+  const status = getColumnIds(board).includes(template.status) ? template.status : defaultStatus(board);
+  const newTask = {
+    id: uuidv4(),
+    board_id: board.id,
+    title: template.title,
+    description: template.description,
+    status,
+    priority: template.priority,
+    tags: [...template.tags],
+    assignee: template.assignee,
+    comments: [],
+    checklist: (template.checklist || []).map(newChecklistItem),
+    start_at: null,
+    due_at: null,
+    blocked_by: [],
+    archived_at: null,
+    lease: null,
+    status_log: [{ status, entered_at: now }],
+    time_entries: [],
+    version: 1,
+    recurring_id: template.id,
+    created_at: now,
+    updated_at: now,
+    order: 0
+  };
+
+  tasks.push(newTask);
+  const siblings = renumberColumn(board.id, newTask.status, newTask).filter(t => t !== newTask);
+  const entry = recordHistory('created', actor, null, newTask);
+
+  // Never write back a template that was deleted in the meantime
+  const upsert = { tasks: [newTask, ...siblings] };
+  const templateIndex = recurringTemplates.findIndex(t => t.id === template.id);
+  if (templateIndex !== -1) {
+    const updatedTemplate = { ...template, last_task_id: newTask.id, last_run_at: now, next_run_at: nextRunAt };
+    recurringTemplates[templateIndex] = updatedTemplate;
+    upsert.recurring = [updatedTemplate];
+  }
+
+  await persist({
+    upsert,
+    history: [entry]
+  });
+
+  broadcastToClients({
+    type: 'task_created',
+    task: newTask,
+    timestamp: now
+  }, board.id);
+  if (siblings.length > 0) {
+    broadcastReordered(board.id, [newTask.status]);
+  }
+
+  return newTask;
+}
+
+// Instantiate every active template whose time has come. A run is skipped while
+// the previous instance is still open, so a busy agent never piles up duplicates.
+async function runDueTemplates() {
+  const now = new Date();
+  const due = recurringTemplates.filter(template =>
+    template.active &&
+    template.next_run_at &&
+    new Date(template.next_run_at) <= now &&
+    boards.some(b => b.id === template.board_id)
+  );
 
-// Valid enums
-const VALID_STATUSES = ['backlog', 'todo', 'in_progress', 'review', 'done'];
-const VALID_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+  for (const { id } of due) {
+    // Earlier iterations await persist(), so the template may have been
+    // edited or deleted since the snapshot was taken
+    const index = recurringTemplates.findIndex(t => t.id === id);
+    if (index === -1) continue;
+    const template = recurringTemplates[index];
+    if (!template.active) continue;
 
-// Load tasks from file
-async function loadTasks() {
-  try {
-    const data = await fs.readFile(TASKS_FILE, 'utf8');
-    tasks = JSON.parse(data);
-    console.log(`Loaded ${tasks.length} tasks from storage`);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('No existing tasks file, starting with empty array');
-      tasks = [];
-      await saveTasks();
-    } else {
-      console.error('Error loading tasks:', error);
-      tasks = [];
+    try {
+      const next = nextRun(template.schedule, now);
+      const nextRunAt = next ? next.toISOString() : null;
+
+      if (hasOpenInstance(template)) {
+        const updatedTemplate = { ...template, last_skipped_at: now.toISOString(), next_run_at: nextRunAt };
+        recurringTemplates[index] = updatedTemplate;
+        await persist({ upsert: { recurring: [updatedTemplate] } });
+        console.log(`Skipped recurring task "${template.title}": previous instance is still open`);
+        continue;
+      }
+
+      const task = await createRecurringInstance(template, 'scheduler', nextRunAt);
+      console.log(`Created recurring task "${task.title}"`);
+    } catch (error) {
+      console.error('Error running recurring template:', error);
     }
   }
 }
 
-// Save tasks to file
-async function saveTasks() {
-  try {
-    await fs.mkdir(path.dirname(TASKS_FILE), { recursive: true });
-    await fs.writeFile(TASKS_FILE, JSON.stringify(tasks, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving tasks:', error);
-    throw error;
-  }
+// TODO file sync: the board side of lib/todo-sync.js. A line is "done" when
+// its task is in the board's last column.
+function readTodoTask(id) {
+  const board = boards.find(b => b.id === TODO_BOARD);
+  const task = tasks.find(t => t.id === id && t.board_id === TODO_BOARD);
+  if (!board || !task) return null;
+
+  return { title: task.title, done: isFinished(board, task), archived: Boolean(task.archived_at) };
 }
 
-// WebSocket broadcast
-function broadcastToClients(message) {
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) { // WebSocket.OPEN
-      client.send(JSON.stringify(message));
-    }
-  });
+async function createTodoTasks(items) {
+  const board = boards.find(b => b.id === TODO_BOARD);
+  if (!board) throw new Error(`TODO sync board "${TODO_BOARD}" does not exist`);
+
+  const columns = getColumns(board);
+  const entries = items.map(item => ({
+    task: newTaskFromInput(board, {
+      title: item.title,
+      status: item.done ? columns[columns.length - 1].id : defaultStatus(board),
+      tags: ['from-todo']
+    }, '')
+  }));
+  const created = await insertTasks(board, entries, TODO_ACTOR);
+  return created.map(task => task.id);
 }
 
-// Validation helpers
-function validateTaskInput(data, isUpdate = false) {
-  const errors = [];
+async function updateTodoTask(id, changes) {
+  const board = boards.find(b => b.id === TODO_BOARD);
+  const taskIndex = tasks.findIndex(t => t.id === id && t.board_id === TODO_BOARD);
+  const previousTask = tasks[taskIndex];
+  const columns = getColumns(board);
 
-  if (!isUpdate && !data.title) {
-    errors.push('Title is required');
+  let status = previousTask.status;
+  if (changes.done !== undefined && changes.done !== isFinished(board, previousTask)) {
+    // Unticking a finished task reopens it in the board's default column
+    status = changes.done ? columns[columns.length - 1].id : defaultStatus(board);
   }
 
-  if (data.title !== undefined && typeof data.title !== 'string') {
-    errors.push('Title must be a string');
-  }
+  const title = changes.title !== undefined ? changes.title : previousTask.title;
+  const errors = validateTaskInput({ title }, board, true);
+  if (errors.length > 0) throw new TodoSyncError(errors.join('; '));
 
-  if (data.title !== undefined && data.title.trim().length === 0) {
-    errors.push('Title cannot be empty');
+  if (status !== previousTask.status) {
+    const refusal = checkTransition(board, previousTask.status, status) ||
+      (checkBlockers(board, { ...previousTask, status }) || {}).error;
+    if (refusal) throw new TodoSyncError(refusal);
   }
 
-  if (data.status !== undefined && !VALID_STATUSES.includes(data.status)) {
-    errors.push(`Status must be one of: ${VALID_STATUSES.join(', ')}`);
-  }
+  const updatedTask = {
+    ...previousTask,
+    title,
+    status,
+    version: previousTask.version + 1,
+    updated_at: new Date().toISOString()
+  };
+  logStatusChange(previousTask, updatedTask);
+  settleFinished(board, updatedTask);
 
-  if (data.priority !== undefined && !VALID_PRIORITIES.includes(data.priority)) {
-    errors.push(`Priority must be one of: ${VALID_PRIORITIES.join(', ')}`);
-  }
+  tasks[taskIndex] = updatedTask;
+  const moved = status !== previousTask.status;
+  const siblings = moved ? repositionTask(previousTask, updatedTask) : [];
+  const entry = recordHistory(moved ? 'moved' : 'updated', TODO_ACTOR, previousTask, updatedTask);
+  await persist({ upsert: { tasks: [updatedTask, ...siblings] }, history: entry ? [entry] : [] });
 
-  if (data.tags !== undefined && !Array.isArray(data.tags)) {
-    errors.push('Tags must be an array');
+  broadcastToClients({
+    type: moved ? 'task_moved' : 'task_updated',
+    task: updatedTask,
+    timestamp: updatedTask.updated_at
+  }, board.id);
+  if (moved) {
+    broadcastReordered(board.id, [previousTask.status, status]);
   }
+}
 
-  if (data.tags !== undefined && !data.tags.every(tag => typeof tag === 'string')) {
-    errors.push('All tags must be strings');
-  }
+async function addTodoNote(id, text) {
+  const taskIndex = tasks.findIndex(t => t.id === id && t.board_id === TODO_BOARD);
+  const comment = { id: uuidv4(), author: TODO_ACTOR, text, created_at: new Date().toISOString() };
 
-  return errors;
+  const previousTask = tasks[taskIndex];
+  const updatedTask = {
+    ...previousTask,
+    comments: [...(previousTask.comments || []), comment],
+    version: previousTask.version + 1,
+    updated_at: comment.created_at
+  };
+  tasks[taskIndex] = updatedTask;
+
+  const entry = recordItemHistory('commented', TODO_ACTOR, updatedTask, 'comments', null, text);
+  await persist({ upsert: { tasks: [updatedTask] }, history: [entry] });
+
+  broadcastToClients({
+    type: 'comment_added',
+    task_id: id,
+    board_id: TODO_BOARD,
+    comment,
+    version: updatedTask.version,
+    updated_at: updatedTask.updated_at,
+    timestamp: comment.created_at
+  }, TODO_BOARD);
 }
 
-// API Routes
+// Send one reminder when an open task comes due soon and another once it is
+// overdue. due_notified remembers the last one sent so restarts don't repeat it.
+async function sweepDueDates() {
+  const now = Date.now();
+  const notifications = [];
 
-// GET /api/tasks - List all tasks with filtering
-app.get('/api/tasks', async (req, res) => {
-  try {
-    let filtered = [...tasks];
+  tasks.forEach(task => {
+    if (!task.due_at || task.due_notified === 'overdue') return;
 
-    // Filter by status
-    if (req.query.status) {
-      filtered = filtered.filter(task => task.status === req.query.status);
-    }
+    const board = boards.find(b => b.id === task.board_id);
+    if (!board || isFinished(board, task)) return;
 
-    // Filter by priority
-    if (req.query.priority) {
-      filtered = filtered.filter(task => task.priority === req.query.priority);
+    const dueIn = Date.parse(task.due_at) - now;
+    if (dueIn <= 0) {
+      notifications.push({ task, type: 'task_overdue' });
+    } else if (dueIn <= DUE_SOON_MS && task.due_notified !== 'due_soon') {
+      notifications.push({ task, type: 'task_due_soon' });
     }
+  });
 
-    // Filter by assignee
-    if (req.query.assignee) {
-      filtered = filtered.filter(task => task.assignee === req.query.assignee);
-    }
+  if (notifications.length === 0) return;
 
-    // Search in title and description
-    if (req.query.search) {
-      const searchLower = req.query.search.toLowerCase();
-      filtered = filtered.filter(task =>
-        task.title.toLowerCase().includes(searchLower) ||
-        task.description.toLowerCase().includes(searchLower)
-      );
-    }
+  notifications.forEach(({ task, type }) => {
+    task.due_notified = type === 'task_overdue' ? 'overdue' : 'due_soon';
+  });
+  await persist({ upsert: { tasks: notifications.map(n => n.task) } });
 
-    // Sort by status order, then by order field
-    const statusOrder = { backlog: 0, todo: 1, in_progress: 2, review: 3, done: 4 };
-    filtered.sort((a, b) => {
-      const statusDiff = statusOrder[a.status] - statusOrder[b.status];
-      if (statusDiff !== 0) return statusDiff;
-      return a.order - b.order;
-    });
+  const timestamp = new Date(now).toISOString();
+  notifications.forEach(({ task, type }) => {
+    broadcastToClients({ type, task, timestamp }, task.board_id);
+  });
+}
 
-    res.json(filtered);
-  } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Templates of the board resolved for the request
+function findBoardTemplateIndex(req) {
+  return recurringTemplates.findIndex(t => t.id === req.params.templateId && t.board_id === req.board.id);
+}
 
-// GET /api/tasks/:id - Get single task
-app.get('/api/tasks/:id', async (req, res) => {
+// GET /recurring - List recurring task templates
+boardRouter.get('/recurring', async (req, res) => {
   try {
-    const task = tasks.find(t => t.id === req.params.id);
-    if (!task) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
-    res.json(task);
+    res.json(recurringTemplates.filter(t => t.board_id === req.board.id));
   } catch (error) {
-    console.error('Error fetching task:', error);
+    console.error('Error fetching recurring templates:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /api/tasks - Create new task
-app.post('/api/tasks', async (req, res) => {
+// POST /recurring - Create a recurring task template
+boardRouter.post('/recurring', async (req, res) => {
   try {
-    const errors = validateTaskInput(req.body);
+    const errors = validateRecurringInput(req.body, req.board);
     if (errors.length > 0) {
       return res.status(400).json({ error: errors.join('; ') });
     }
 
     const now = new Date().toISOString();
-    const newTask = {
+    const template = {
       id: uuidv4(),
+      board_id: req.board.id,
       title: req.body.title.trim(),
       description: req.body.description || '',
-      status: req.body.status || 'backlog',
+      status: req.body.status || defaultStatus(req.board),
       priority: req.body.priority || 'medium',
       tags: req.body.tags || [],
-      assignee: req.body.assignee || '',
+      assignee: defaultAssignee(req, req.body),
+      checklist: (req.body.checklist || []).map(text => text.trim()),
+      schedule: req.body.schedule.trim(),
+      active: req.body.active !== undefined ? req.body.active : true,
+      next_run_at: nextRun(req.body.schedule).toISOString(),
+      last_run_at: null,
+      last_skipped_at: null,
+      last_task_id: null,
+      created_by: getActor(req),
       created_at: now,
-      updated_at: now,
-      order: req.body.order !== undefined ? req.body.order : 0
+      updated_at: now
     };
 
-    tasks.push(newTask);
-    await saveTasks();
+    recurringTemplates.push(template);
+    await persist({ upsert: { recurring: [template] } });
 
-    broadcastToClients({
-      type: 'task_created',
-      task: newTask,
-      timestamp: now
-    });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error creating recurring template:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.status(201).json(newTask);
+// GET /recurring/:templateId - Get a recurring task template
+boardRouter.get('/recurring/:templateId', async (req, res) => {
+  try {
+    const templateIndex = findBoardTemplateIndex(req);
+    if (templateIndex === -1) {
+      return res.status(404).json({ error: 'Recurring template not found' });
+    }
+    res.json(recurringTemplates[templateIndex]);
   } catch (error) {
-    console.error('Error creating task:', error);
+    console.error('Error fetching recurring template:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// PATCH /api/tasks/:id - Update task
-app.patch('/api/tasks/:id', async (req, res) => {
+// PATCH /recurring/:templateId - Update a recurring task template
+boardRouter.patch('/recurring/:templateId', async (req, res) => {
   try {
-    const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-    if (taskIndex === -1) {
-      return res.status(404).json({ error: 'Task not found' });
+    const templateIndex = findBoardTemplateIndex(req);
+    if (templateIndex === -1) {
+      return res.status(404).json({ error: 'Recurring template not found' });
     }
 
-    const errors = validateTaskInput(req.body, true);
+    const errors = validateRecurringInput(req.body, req.board, true);
     if (errors.length > 0) {
       return res.status(400).json({ error: errors.join('; ') });
     }
 
-    const updatedTask = {
-      ...tasks[taskIndex],
-      ...req.body,
-      id: tasks[taskIndex].id, // Prevent ID change
-      created_at: tasks[taskIndex].created_at, // Prevent created_at change
-      updated_at: new Date().toISOString()
-    };
+    const template = { ...recurringTemplates[templateIndex], updated_at: new Date().toISOString() };
+    ['title', 'description', 'status', 'priority', 'tags', 'assignee', 'checklist', 'schedule', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
+    });
 
-    // Trim title if provided
-    if (req.body.title !== undefined) {
-      updatedTask.title = req.body.title.trim();
+    // A new schedule, or resuming a paused template, starts counting from now
+    if (req.body.schedule !== undefined || req.body.active === true) {
+      template.next_run_at = nextRun(template.schedule).toISOString();
     }
 
-    tasks[taskIndex] = updatedTask;
-    await saveTasks();
-
-    broadcastToClients({
-      type: 'task_updated',
-      task: updatedTask,
-      timestamp: updatedTask.updated_at
-    });
+    recurringTemplates[templateIndex] = template;
+    await persist({ upsert: { recurring: [template] } });
 
-    res.json(updatedTask);
+    res.json(template);
   } catch (error) {
-    console.error('Error updating task:', error);
+    console.error('Error updating recurring template:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// DELETE /api/tasks/:id - Delete task
-app.delete('/api/tasks/:id', async (req, res) => {
+// DELETE /recurring/:templateId - Delete a recurring task template (its tasks stay)
+boardRouter.delete('/recurring/:templateId', async (req, res) => {
   try {
-    const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-    if (taskIndex === -1) {
-      return res.status(404).json({ error: 'Task not found' });
+    const templateIndex = findBoardTemplateIndex(req);
+    if (templateIndex === -1) {
+      return res.status(404).json({ error: 'Recurring template not found' });
     }
 
-    const deletedTask = tasks[taskIndex];
-    tasks.splice(taskIndex, 1);
-    await saveTasks();
-
-    broadcastToClients({
-      type: 'task_deleted',
-      task: deletedTask,
-      timestamp: new Date().toISOString()
-    });
+    const [template] = recurringTemplates.splice(templateIndex, 1);
+    await persist({ remove: { recurring: [template.id] } });
 
     res.status(204).send();
   } catch (error) {
-    console.error('Error deleting task:', error);
+    console.error('Error deleting recurring template:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /api/tasks/:id/move - Move task to new column
-app.post('/api/tasks/:id/move', async (req, res) => {
+// POST /recurring/:templateId/run - Create an instance now, outside the schedule
+boardRouter.post('/recurring/:templateId/run', async (req, res) => {
   try {
-    const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-    if (taskIndex === -1) {
-      return res.status(404).json({ error: 'Task not found' });
+    const templateIndex = findBoardTemplateIndex(req);
+    if (templateIndex === -1) {
+      return res.status(404).json({ error: 'Recurring template not found' });
     }
 
-    if (!req.body.status) {
-      return res.status(400).json({ error: 'Status is required' });
+    const template = recurringTemplates[templateIndex];
+    if (hasOpenInstance(template)) {
+      return res.status(409).json({ error: 'The previous task of this template is still open', task_id: template.last_task_id });
     }
 
-    if (!VALID_STATUSES.includes(req.body.status)) {
-      return res.status(400).json({ error: `Status must be one of: ${VALID_STATUSES.join(', ')}` });
-    }
-
-    const updatedTask = {
-      ...tasks[taskIndex],
-      status: req.body.status,
-      order: req.body.order !== undefined ? req.body.order : tasks[taskIndex].order,
-      updated_at: new Date().toISOString()
-    };
-
-    tasks[taskIndex] = updatedTask;
-    await saveTasks();
+    const task = await createRecurringInstance(template, getActor(req), template.next_run_at);
 
-    broadcastToClients({
-      type: 'task_moved',
-      task: updatedTask,
-      timestamp: updatedTask.updated_at
-    });
-
-    res.json(updatedTask);
+    res.status(201).json(task);
   } catch (error) {
-    console.error('Error moving task:', error);
+    console.error('Error running recurring template:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/stats - Get statistics
-app.get('/api/stats', async (req, res) => {
-  try {
-    const byStatus = {
-      backlog: 0,
-      todo: 0,
-      in_progress: 0,
-      review: 0,
-      done: 0
-    };
+// Resolve :boardId for board-scoped routes
+function resolveBoard(req, res, next) {
+  const board = boards.find(b => b.id === req.params.boardId);
+  if (!board) {
+    return res.status(404).json({ error: 'Board not found' });
+  }
+  req.board = board;
+  next();
+}
 
-    const byPriority = {
-      low: 0,
-      medium: 0,
-      high: 0,
-      critical: 0
-    };
+function useDefaultBoard(req, res, next) {
+  req.board = boards.find(b => b.id === DEFAULT_BOARD_ID);
+  next();
+}
 
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    let recentlyCompleted = 0;
+app.use('/api/boards/:boardId', resolveBoard, boardRouter);
+app.use('/api', useDefaultBoard, boardRouter);
 
-    tasks.forEach(task => {
-      byStatus[task.status]++;
-      byPriority[task.priority]++;
+// Error handling for invalid JSON
+app.use((err, req, res, next) => {
+  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+    return res.status(400).json({ error: 'Invalid JSON in request body' });
+  }
+  next();
+});
 
-      if (task.status === 'done' && task.updated_at >= oneDayAgo) {
-        recentlyCompleted++;
-      }
-    });
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+});
 
-    res.json({
-      total: tasks.length,
-      byStatus,
-      byPriority,
-      recentlyCompleted
-    });
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Create HTTP server
+const server = http.createServer(app);
+
+// WebSocket server; browsers can't set headers, so the token may also come as ?token=
+const wss = new WebSocketServer({
+  server,
+  verifyClient: (info, done) => {
+    if (apiKeys.length === 0) return done(true);
+
+    const url = new URL(info.req.url, 'http://localhost');
+    const token = getBearerToken(info.req.headers.authorization) || url.searchParams.get('token');
+    const auth = findApiKey(token);
+    if (!auth) return done(false, 401, 'Unauthorized');
+
+    info.req.auth = auth;
+    done(true);
   }
 });
 
-// POST /api/tasks/bulk - Bulk create tasks
-app.post('/api/tasks/bulk', async (req, res) => {
-  try {
-    if (!req.body.tasks || !Array.isArray(req.body.tasks)) {
-      return res.status(400).json({ error: 'Body must contain a "tasks" array' });
-    }
+function sendMessage(ws, message) {
+  if (ws.readyState === 1) ws.send(JSON.stringify(message));
+}
 
-    const createdTasks = [];
-    const errors = [];
+// The board as a client sees it on first load: its settings and the tasks on it
+function boardSnapshot(boardId) {
+  const board = boards.find(b => b.id === boardId);
+  return {
+    type: 'snapshot',
+    board_id: boardId,
+    seq: eventLog.seq,
+    board,
+    tasks: tasks
+      .filter(task => task.board_id === boardId && !task.archived_at)
+      .sort((a, b) => a.order - b.order)
+  };
+}
 
-    for (let i = 0; i < req.body.tasks.length; i++) {
-      const taskData = req.body.tasks[i];
-      const validationErrors = validateTaskInput(taskData);
+// Task changes a client may send over the socket, each run by the function
+// behind the REST route it stands for, with the role that route requires:
+// { "type": "command", "id": "c1", "action": "move_task", ... }
+const SOCKET_COMMANDS = {
+  create_task: message => ({ run: createTask, body: message.task }),
+  update_task: message => ({ run: updateTask, body: message.changes }),
+  move_task: message => ({
+    run: moveTask,
+    body: { status: message.status, before_id: message.before_id, order: message.order }
+  }),
+  delete_task: () => ({ run: deleteTask, role: 'admin' }),
+  add_comment: message => ({ run: addComment, body: { text: message.text } })
+};
 
-      if (validationErrors.length > 0) {
-        errors.push(`Task ${i}: ${validationErrors.join('; ')}`);
-        continue;
-      }
+// Run a socket command in-process, as the connection's API key (or actor), so
+// it gets exactly the validation, permissions, history and broadcasts of the
+// REST routes. The reply carries the command's id and the status and body.
+async function runSocketCommand(ws, message) {
+  const reply = fields => sendMessage(ws, { type: 'result', id: message.id, action: message.action, ...fields });
 
-      const now = new Date().toISOString();
-      const newTask = {
-        id: uuidv4(),
-        title: taskData.title.trim(),
-        description: taskData.description || '',
-        status: taskData.status || 'backlog',
-        priority: taskData.priority || 'medium',
-        tags: taskData.tags || [],
-        assignee: taskData.assignee || '',
-        created_at: now,
-        updated_at: now,
-        order: taskData.order !== undefined ? taskData.order : 0
-      };
-
-      tasks.push(newTask);
-      createdTasks.push(newTask);
-    }
-
-    if (errors.length > 0 && createdTasks.length === 0) {
-      return res.status(400).json({ error: errors.join('; ') });
-    }
+  const command = SOCKET_COMMANDS[message.action];
+  if (!command) {
+    return reply({ ok: false, status: 400, error: `action must be one of: ${Object.keys(SOCKET_COMMANDS).join(', ')}` });
+  }
+  if (message.action !== 'create_task' && typeof message.task_id !== 'string') {
+    return reply({ ok: false, status: 400, error: 'task_id is required' });
+  }
 
-    await saveTasks();
+  const { run, body, role = 'agent' } = command(message);
+  if (ws.auth && !hasRole(ws.auth, role)) {
+    const error = role === 'agent' ? 'This API key is read-only' : `Requires ${role} role`;
+    return reply({ ok: false, status: 403, error });
+  }
 
-    // Broadcast each created task
-    createdTasks.forEach(task => {
-      broadcastToClients({
-        type: 'task_created',
-        task,
-        timestamp: task.created_at
-      });
-    });
+  const board = boards.find(b => b.id === ws.boardId);
+  if (!board) {
+    return reply({ ok: false, status: 404, error: 'Board not found' });
+  }
 
-    const response = { tasks: createdTasks };
-    if (errors.length > 0) {
-      response.errors = errors;
-    }
+  const headers = {
+    'x-actor': ws.actor,
+    'if-match': message.version !== undefined ? `"${message.version}"` : undefined
+  };
+  const req = {
+    board,
+    auth: ws.auth,
+    params: { id: message.task_id },
+    // What the route would have parsed from a JSON body: a fresh object
+    body: body !== null && typeof body === 'object' ? JSON.parse(JSON.stringify(body)) : {},
+    get: name => headers[name.toLowerCase()]
+  };
 
-    res.status(201).json(response);
+  try {
+    const result = await run(req);
+    if (result.status < 400) {
+      reply({ ok: true, status: result.status, result: result.body });
+    } else {
+      reply({ ok: false, status: result.status, error: result.body.error, result: result.body });
+    }
   } catch (error) {
-    console.error('Error bulk creating tasks:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error running socket command:', error);
+    reply({ ok: false, status: 500, error: 'Internal server error' });
   }
-});
+}
 
-// DELETE /api/tasks?status=done - Clear done tasks
-app.delete('/api/tasks', async (req, res) => {
-  try {
-    if (req.query.status !== 'done') {
-      return res.status(400).json({ error: 'Only status=done is supported for bulk delete' });
-    }
+// { "type": "hello", "protocol": 2, "board_id", "actor", "resume": { "epoch", "seq" } }
+// The reply is a welcome, then either the events missed since `resume` and a
+// "resumed" marker, or a snapshot of the board when they can't be replayed
+// (first connect, server restarted, or too far behind).
+function handleHello(ws, message) {
+  if (message.protocol !== PROTOCOL_VERSION) {
+    sendMessage(ws, { type: 'error', error: `Unsupported protocol ${message.protocol}; this server speaks ${PROTOCOL_VERSION}` });
+    return;
+  }
+  if (message.board_id !== undefined && !boards.some(b => b.id === message.board_id)) {
+    sendMessage(ws, { type: 'error', error: 'Board not found' });
+    return;
+  }
+  if (message.client !== undefined && !CLIENT_KINDS.includes(message.client)) {
+    sendMessage(ws, { type: 'error', error: `client must be one of: ${CLIENT_KINDS.join(', ')}` });
+    return;
+  }
+
+  ws.protocolVersion = PROTOCOL_VERSION;
+  ws.client = message.client || 'agent';
+  if (message.board_id !== undefined) ws.boardId = message.board_id;
+  if (typeof message.actor === 'string' && message.actor.trim()) ws.actor = message.actor.trim();
 
-    const initialCount = tasks.length;
-    const deletedTasks = tasks.filter(t => t.status === 'done');
-    tasks = tasks.filter(t => t.status !== 'done');
-    const deletedCount = initialCount - tasks.length;
+  sendMessage(ws, {
+    type: 'welcome',
+    protocol: PROTOCOL_VERSION,
+    epoch: eventLog.epoch,
+    seq: eventLog.seq,
+    board_id: ws.boardId,
+    heartbeat_ms: HEARTBEAT_INTERVAL_MS
+  });
 
-    await saveTasks();
+  const resume = message.resume;
+  const missed = resume && resume.epoch === eventLog.epoch ? eventLog.since(resume.seq, ws.boardId) : null;
+  if (missed) {
+    missed.forEach(event => sendMessage(ws, event));
+    sendMessage(ws, { type: 'resumed', from: resume.seq, seq: eventLog.seq, replayed: missed.length });
+  } else {
+    sendMessage(ws, boardSnapshot(ws.boardId));
+  }
 
-    // Broadcast deletion for each task
-    deletedTasks.forEach(task => {
-      broadcastToClients({
-        type: 'task_deleted',
-        task,
-        timestamp: new Date().toISOString()
-      });
-    });
+  presence.connect(ws.id, { name: socketName(ws), kind: ws.client, boardId: ws.boardId });
+}
 
-    res.json({ deleted: deletedCount });
-  } catch (error) {
-    console.error('Error clearing done tasks:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Name a socket client goes by: its API key's, else the actor from its hello
+function socketName(ws) {
+  return ws.auth ? ws.auth.name : ws.actor || 'anonymous';
+}
+
+// { "type": "activity", "task_id": "...", "text": "..." } reports working on an
+// open task of the subscribed board until the socket closes; a null task_id stops
+function handleActivity(ws, message) {
+  if (!ws.client) {
+    sendMessage(ws, { type: 'error', error: 'Send hello before reporting activity' });
+    return;
   }
-});
 
-// Error handling for invalid JSON
-app.use((err, req, res, next) => {
-  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    return res.status(400).json({ error: 'Invalid JSON in request body' });
+  if (message.task_id === null || message.task_id === undefined) {
+    presence.clearActivity(ws.boardId, socketName(ws));
+    return;
   }
-  next();
-});
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+  const task = tasks.find(t => t.id === message.task_id && t.board_id === ws.boardId);
+  const text = activityText(message.text);
+  const board = boards.find(b => b.id === ws.boardId);
+  if (!task) {
+    sendMessage(ws, { type: 'error', error: 'Task not found' });
+  } else if (task.archived_at || isFinished(board, task)) {
+    sendMessage(ws, { type: 'error', error: 'Task is not open' });
+  } else if (text === null) {
+    sendMessage(ws, { type: 'error', error: `Text must be a string of at most ${MAX_ACTIVITY_LENGTH} characters` });
+  } else {
+    presence.setActivity(ws.boardId, socketName(ws), { taskId: task.id, text, connection: ws.id });
+  }
+}
 
-// Create HTTP server
-const server = http.createServer(app);
+wss.on('connection', (ws, req) => {
+  console.log(`WebSocket client connected${req.auth ? ` (${req.auth.name})` : ''}`);
+
+  // Clients receive task events for one board at a time: ?board= on connect,
+  // then { "type": "subscribe", "board_id": "..." } to switch
+  const requestedBoard = new URL(req.url, 'http://localhost').searchParams.get('board');
+  ws.boardId = boards.some(b => b.id === requestedBoard) ? requestedBoard : DEFAULT_BOARD_ID;
+  ws.id = uuidv4();
+  ws.auth = req.auth || null;
+  ws.isAlive = true;
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', (data) => {
+    ws.isAlive = true;
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      sendMessage(ws, { type: 'error', error: 'Invalid JSON message' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        handleHello(ws, message);
+        break;
 
-// WebSocket server
-const wss = new WebSocketServer({ server });
+      case 'subscribe':
+        if (!boards.some(b => b.id === message.board_id)) {
+          sendMessage(ws, { type: 'error', error: 'Board not found' });
+          return;
+        }
+        ws.boardId = message.board_id;
+        sendMessage(ws, { type: 'subscribed', board_id: ws.boardId, seq: eventLog.seq });
+        if (ws.client) {
+          presence.connect(ws.id, { name: socketName(ws), kind: ws.client, boardId: ws.boardId });
+        }
+        break;
 
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
+      // Browsers can't see protocol-level pings, so clients check the line with these
+      case 'ping':
+        sendMessage(ws, { type: 'pong', seq: eventLog.seq });
+        break;
+
+      case 'command':
+        runSocketCommand(ws, message);
+        break;
+
+      case 'activity':
+        handleActivity(ws, message);
+        break;
+
+      default:
+        sendMessage(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  });
 
   ws.on('close', () => {
+    presence.disconnect(ws.id);
     console.log('WebSocket client disconnected');
   });
 
@@ -476,13 +4232,64 @@ wss.on('connection', (ws) => {
   });
 });
 
+// Drop clients that stopped answering pings, such as half-open connections
+// left behind by a network change
+const heartbeat = setInterval(() => {
+  wss.clients.forEach(ws => {
+    if (!ws.isAlive) {
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL_MS);
+heartbeat.unref();
+
 // Initialize and start server
 async function start() {
   try {
+    await loadApiKeys();
+    await storage.init();
+    console.log(`Using ${storage.driver} storage`);
+    await loadBoards();
     await loadTasks();
+    await normalizeTaskOrder();
+    await loadHistory();
+    await loadWebhooks();
+    await loadRecurringTemplates();
+    await loadTrash();
+    backfillStatusLogs();
     server.listen(PORT, () => {
       console.log(`OpenClaw Kanban running at http://localhost:${PORT}`);
     });
+
+    // Runs missed while the server was down are caught up once on the first check
+    setInterval(runDueTemplates, RECURRING_CHECK_INTERVAL_MS).unref();
+    runDueTemplates();
+
+    const sweep = () => sweepDueDates().catch(error => console.error('Error checking due dates:', error));
+    setInterval(sweep, DUE_CHECK_INTERVAL_MS).unref();
+    sweep();
+
+    const retention = () => {
+      sweepFinishedTasks().catch(error => console.error('Error archiving finished tasks:', error));
+      sweepTrash().catch(error => console.error('Error purging the trash:', error));
+    };
+    setInterval(retention, RETENTION_CHECK_INTERVAL_MS).unref();
+    retention();
+
+    const leases = () => sweepLeases().catch(error => console.error('Error expiring claims:', error));
+    setInterval(leases, LEASE_CHECK_INTERVAL_MS).unref();
+    leases();
+
+    setInterval(() => presence.sweep(), PRESENCE_CHECK_INTERVAL_MS).unref();
+
+    if (todoSync) {
+      todoSync.load(await storage.load('todo_sync'));
+      await todoSync.start();
+      console.log(`Syncing ${TODO_FILE} with board "${TODO_BOARD}"`);
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
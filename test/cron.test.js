@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('../lib/cron');
+
+// nextRun works in server-local time, so expectations are built the same way
+const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('parses lists, ranges and steps', () => {
+  const cron = parseCron('0,30 9-17/4 1 */3 1-5');
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.days], [1]);
+  assert.deepEqual([...cron.months], [1, 4, 7, 10]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+});
+
+test('a single value with a step runs to the end of the field', () => {
+  assert.deepEqual([...parseCron('50/5 * * * *').minutes], [50, 55]);
+});
+
+test('expands aliases and treats 7 as Sunday', () => {
+  assert.deepEqual([...parseCron('@daily').hours], [0]);
+  assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+});
+
+test('rejects malformed expressions with a readable message', () => {
+  const invalid = {
+    '* * * *': /5 fields/,
+    '60 * * * *': /Minute must be between 0 and 59/,
+    '* 5-1 * * *': /Invalid hour range "5-1"/,
+    '*/0 * * * *': /Invalid step/,
+    'x * * * *': /Invalid minute "x"/,
+    '1, * * * *': /Invalid minute ""/,
+    '-5 * * * *': /Invalid minute "-5"/,
+    '5- * * * *': /Invalid minute "5-"/,
+    '/5 * * * *': /Invalid minute "\/5"/,
+    '1/2/3 * * * *': /Invalid minute "1\/2\/3"/
+  };
+  Object.entries(invalid).forEach(([expression, message]) => {
+    assert.throws(() => parseCron(expression), message, expression);
+  });
+});
+
+test('nextRun returns the first matching minute strictly after from', () => {
+  assert.deepEqual(nextRun('*/15 * * * *', local(2026, 3, 2, 10, 0)), local(2026, 3, 2, 10, 15));
+  assert.deepEqual(nextRun('*/15 * * * *', local(2026, 3, 2, 10, 7)), local(2026, 3, 2, 10, 15));
+  assert.deepEqual(nextRun('0 9 * * *', local(2026, 3, 2, 9, 0)), local(2026, 3, 3, 9, 0));
+  assert.deepEqual(nextRun('@monthly', local(2026, 12, 15)), local(2027, 1, 1));
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // 2026-03-02 is a Monday; the 15th or any Friday, whichever comes first
+  assert.deepEqual(nextRun('0 0 15 * 5', local(2026, 3, 2)), local(2026, 3, 6));
+  assert.deepEqual(nextRun('0 0 15 * *', local(2026, 3, 2)), local(2026, 3, 15));
+  assert.deepEqual(nextRun('0 0 * * 5', local(2026, 3, 7)), local(2026, 3, 13));
+});
+
+test('nextRun returns null for a schedule that never runs', () => {
+  assert.equal(nextRun('0 0 31 2 *', local(2026, 1, 1)), null);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventLog } = require('../lib/event-log');
+
+test('numbers events and returns what a client missed on its board', () => {
+  const log = createEventLog();
+  log.append('a', { type: 'task_created' });
+  const second = log.append('b', { type: 'task_updated' });
+  log.append(null, { type: 'board_created' });
+  log.append('a', { type: 'task_moved' });
+
+  assert.equal(second.seq, 2);
+  assert.equal(log.seq, 4);
+  assert.deepEqual(log.since(1, 'a').map(m => m.type), ['board_created', 'task_moved']);
+  assert.deepEqual(log.since(0, 'b').map(m => m.seq), [2, 3]);
+  assert.deepEqual(log.since(4, 'a'), []);
+});
+
+test('since returns null when the missed events are no longer kept', () => {
+  const log = createEventLog({ size: 2 });
+  [1, 2, 3, 4].forEach(n => log.append('a', { type: 'task_updated', n }));
+
+  assert.equal(log.since(1, 'a'), null);
+  assert.deepEqual(log.since(2, 'a').map(m => m.n), [3, 4]);
+});
+
+test('since rejects sequence numbers this log never handed out', () => {
+  const log = createEventLog();
+  log.append('a', { type: 'task_created' });
+
+  assert.equal(log.since(5, 'a'), null);
+  assert.equal(log.since(-1, 'a'), null);
+  assert.equal(log.since('1', 'a'), null);
+});
+
+test('every log gets its own epoch', () => {
+  assert.notEqual(createEventLog().epoch, createEventLog().epoch);
+});
+
+test('subscribers see new events until they unsubscribe', () => {
+  const log = createEventLog();
+  const seen = [];
+  const unsubscribe = log.subscribe((message, boardId) => seen.push([message.seq, boardId]));
+
+  log.append('a', { type: 'task_created' });
+  unsubscribe();
+  log.append('a', { type: 'task_updated' });
+
+  assert.deepEqual(seen, [[1, 'a']]);
+});
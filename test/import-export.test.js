@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportTasks, parseImport, mapStatus, mapPriority, ImportError } = require('../lib/import-export');
+
+const COLUMNS = [
+  { id: 'backlog', label: 'Backlog', order: 0 },
+  { id: 'todo', label: 'To Do', order: 1 },
+  { id: 'in_progress', label: 'In Progress', order: 2 },
+  { id: 'review', label: 'Review', order: 3 },
+  { id: 'done', label: 'Done', order: 4 }
+];
+const BOARD = { id: 'default', name: 'Main', columns: COLUMNS };
+
+function task(fields) {
+  return {
+    id: 'a1', title: 'Task', description: '', status: 'todo', priority: 'medium', assignee: '',
+    tags: [], start_at: null, due_at: null, blocked_by: [], checklist: [], ...fields
+  };
+}
+
+test('statuses map by ID, label or synonym; done means the last column', () => {
+  assert.equal(mapStatus('In Progress', COLUMNS), 'in_progress');
+  assert.equal(mapStatus('doing', COLUMNS), 'in_progress');
+  assert.equal(mapStatus('Closed', COLUMNS), 'done');
+  assert.equal(mapStatus('', COLUMNS), 'backlog');
+  assert.equal(mapStatus('', COLUMNS, true), 'done');
+  assert.equal(mapStatus('someday maybe', COLUMNS), null);
+});
+
+test('priorities map synonyms and priority labels', () => {
+  assert.equal(mapPriority('P0'), 'critical');
+  assert.equal(mapPriority('priority: high'), 'high');
+  assert.equal(mapPriority(''), 'medium');
+  assert.equal(mapPriority('whenever'), null);
+});
+
+test('CSV export round-trips through import', () => {
+  const original = task({
+    title: 'Fix login, again',
+    description: 'Says "no"\non two lines',
+    priority: 'high',
+    tags: ['auth', 'web'],
+    checklist: [{ text: 'Reproduce', done: true }, { text: 'Patch', done: false }]
+  });
+  const { body, extension } = exportTasks('csv', [original], BOARD);
+  assert.equal(extension, 'csv');
+
+  const { rows, errors } = parseImport('csv', body, COLUMNS);
+  assert.deepEqual(errors, []);
+  assert.equal(rows[0].id, 'a1');
+  assert.equal(rows[0].task.title, 'Fix login, again');
+  assert.equal(rows[0].task.description, 'Says "no"\non two lines');
+  assert.deepEqual(rows[0].task.tags, ['auth', 'web']);
+  assert.deepEqual(rows[0].checklist, [{ text: 'Reproduce', done: true }, { text: 'Patch', done: false }]);
+});
+
+test('CSV export neutralizes cells a spreadsheet would run as formulas', () => {
+  const { body } = exportTasks('csv', [task({ title: '=HYPERLINK("http://evil")', description: '-1+1', assignee: '@bob' })], BOARD);
+  const row = body.split('\r\n')[1];
+
+  assert.match(row, /^a1,"'=HYPERLINK\(""http:\/\/evil""\)",'-1\+1,todo,medium,'@bob,/);
+  const { rows } = parseImport('csv', body, COLUMNS);
+  assert.equal(rows[0].task.title, '=HYPERLINK("http://evil")');
+  assert.equal(rows[0].task.description, '-1+1');
+  assert.equal(rows[0].task.assignee, '@bob');
+});
+
+test('CSV import takes other tools\' column names and reports bad rows', () => {
+  const csv = 'Name,State,Labels,Owner\nWrite docs,Doing,"docs,P1",Alice\n,todo,,\nPlan,someday maybe,,\n';
+  const { rows, errors } = parseImport('csv', csv, COLUMNS);
+
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].task, {
+    title: 'Write docs', description: '', status: 'in_progress', priority: 'high',
+    tags: ['docs'], assignee: 'Alice', start_at: null, due_at: null
+  });
+  assert.deepEqual(errors, [
+    { row: 3, error: 'Title is required' },
+    { row: 4, error: 'Unknown status "someday maybe"; expected one of: backlog, todo, in_progress, review, done' }
+  ]);
+});
+
+test('Markdown export round-trips columns, markers and checklists', () => {
+  const tasks = [
+    task({ id: 'a1', title: 'Fix login', priority: 'high', assignee: 'OpenClaw', tags: ['auth'], description: 'Users are logged out' }),
+    task({ id: 'b2', title: 'Ship it', status: 'done', blocked_by: ['a1'], checklist: [{ text: 'Tag release', done: true }] })
+  ];
+  const { body } = exportTasks('markdown', tasks, BOARD);
+  assert.match(body, /^- \[ \] Fix login !high @OpenClaw #auth <!-- id:a1 -->$/m);
+  assert.match(body, /^- \[x\] Ship it <!-- id:b2 blocked_by:a1 -->$/m);
+
+  const { rows } = parseImport('markdown', body, COLUMNS);
+  assert.deepEqual(rows.map(row => [row.id, row.task.status, row.task.priority]), [['a1', 'todo', 'high'], ['b2', 'done', 'medium']]);
+  assert.equal(rows[0].task.description, 'Users are logged out');
+  assert.deepEqual(rows[1].blocked_by, ['a1']);
+  assert.deepEqual(rows[1].checklist, [{ text: 'Tag release', done: true }]);
+});
+
+test('Markdown items outside a column heading go by their checkbox', () => {
+  const { rows } = parseImport('markdown', '- [ ] Open item\n- [x] Finished item\n', COLUMNS);
+  assert.deepEqual(rows.map(row => row.task.status), ['backlog', 'done']);
+  assert.throws(() => parseImport('markdown', 'no tasks here', COLUMNS), ImportError);
+});
+
+test('JSON import reads board exports, Trello boards and GitHub issues', () => {
+  const exported = exportTasks('json', [task({ comments: [{ text: 'kept' }] })], BOARD).body;
+  const own = parseImport('json', exported, COLUMNS);
+  assert.equal(own.rows[0].task.title, 'Task');
+  assert.deepEqual(own.rows[0].comments, [{ text: 'kept' }]);
+
+  const trello = parseImport('json', {
+    lists: [{ id: 'l1', name: 'Doing' }],
+    cards: [
+      { id: 'c1', name: 'Card', idList: 'l1', labels: [{ name: 'P0' }] },
+      { id: 'c2', name: 'Old card', idList: 'l1', closed: true }
+    ],
+    checklists: [{ idCard: 'c1', checkItems: [{ name: 'Step', state: 'complete' }] }]
+  }, COLUMNS);
+  assert.deepEqual([trello.rows[0].task.status, trello.rows[0].task.priority], ['in_progress', 'critical']);
+  assert.deepEqual(trello.rows[0].checklist, [{ text: 'Step', done: true }]);
+  assert.deepEqual(trello.skipped, [{ row: 2, reason: '"Old card" is archived in Trello' }]);
+
+  const github = parseImport('json', [
+    { number: 1, title: 'Crash', state: 'OPEN', labels: [{ name: 'in progress' }, { name: 'bug' }] },
+    { number: 2, title: 'Typo', state: 'closed', labels: [], assignee: { login: 'alice' } }
+  ], COLUMNS);
+  assert.deepEqual(github.rows.map(row => [row.task.status, row.task.tags, row.task.assignee]), [
+    ['in_progress', ['bug'], ''],
+    ['done', [], 'alice']
+  ]);
+});
+
+test('unknown formats and unreadable data are ImportErrors', () => {
+  assert.throws(() => parseImport('xml', '<tasks/>', COLUMNS), ImportError);
+  assert.throws(() => parseImport('json', '{ nope', COLUMNS), /Invalid JSON/);
+  assert.throws(() => parseImport('json', { foo: 1 }, COLUMNS), ImportError);
+  assert.throws(() => parseImport('csv', 'a,"b\n', COLUMNS), /Unterminated quoted field/);
+  assert.throws(() => exportTasks('xml', [], BOARD), ImportError);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, parseSort, QueryError } = require('../lib/query');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+const COLUMNS = ['backlog', 'todo', 'in_progress', 'review', 'done'];
+
+const ctx = {
+  now: NOW,
+  actor: 'OpenClaw',
+  statusRank: status => (COLUMNS.includes(status) ? COLUMNS.indexOf(status) : undefined),
+  isFinished: task => task.status === 'done',
+  isBlocked: task => (task.blocked_by || []).length > 0
+};
+
+const tasks = [
+  {
+    id: 'a1', title: 'Backup job', description: 'Nightly database dump', status: 'todo', priority: 'high',
+    tags: ['ops', 'finance'], assignee: 'OpenClaw', updated_at: new Date(NOW - DAY).toISOString(),
+    due_at: new Date(NOW - DAY).toISOString(), version: 3, order: 0
+  },
+  {
+    id: 'b2', title: 'Write report', description: '', status: 'review', priority: 'medium',
+    tags: ['finance'], assignee: '', updated_at: new Date(NOW - 10 * DAY).toISOString(),
+    due_at: null, blocked_by: ['a1'], version: 1, order: 1
+  },
+  {
+    id: 'c3', title: 'Ship release', description: 'backup first', status: 'done', priority: 'critical',
+    tags: [], assignee: 'Alice', updated_at: new Date(NOW - 2 * DAY).toISOString(),
+    due_at: new Date(NOW + DAY).toISOString(), version: 2, order: 0
+  }
+];
+
+const ids = query => tasks.filter(parseQuery(query, ctx)).map(task => task.id);
+
+test('an empty query matches every task', () => {
+  assert.deepEqual(ids(''), ['a1', 'b2', 'c3']);
+});
+
+test('bare words and phrases search title, description and tags', () => {
+  assert.deepEqual(ids('backup'), ['a1', 'c3']);
+  assert.deepEqual(ids('"backup job"'), ['a1']);
+  assert.deepEqual(ids('finance report'), ['b2']);
+});
+
+test('field terms with comparisons and value lists', () => {
+  assert.deepEqual(ids('priority>=high'), ['a1', 'c3']);
+  assert.deepEqual(ids('status:todo,review'), ['a1', 'b2']);
+  assert.deepEqual(ids('status>=review'), ['b2', 'c3']);
+  assert.deepEqual(ids('assignee:me'), ['a1']);
+  assert.deepEqual(ids('assignee:none'), ['b2']);
+  assert.deepEqual(ids('version>1'), ['a1', 'c3']);
+  assert.deepEqual(ids('title:"write report"'), ['b2']);
+});
+
+test('dates take ages, relative points and days', () => {
+  assert.deepEqual(ids('updated:<7d'), ['a1', 'c3']);
+  assert.deepEqual(ids('updated>7d'), ['b2']);
+  assert.deepEqual(ids('due:<+3d'), ['a1', 'c3']);
+  assert.deepEqual(ids('due:none'), ['b2']);
+  assert.deepEqual(ids('updated:2026-03-09'), ['a1']);
+});
+
+test('flags and presence checks use the context', () => {
+  assert.deepEqual(ids('is:open'), ['a1', 'b2']);
+  assert.deepEqual(ids('is:overdue'), ['a1']);
+  assert.deepEqual(ids('is:blocked'), ['b2']);
+  assert.deepEqual(ids('has:description'), ['a1', 'c3']);
+});
+
+test('AND, OR, NOT, parentheses and - combine terms', () => {
+  assert.deepEqual(ids('tag:finance AND priority>=high'), ['a1']);
+  assert.deepEqual(ids('(status:todo OR status:done) -assignee:alice'), ['a1']);
+  assert.deepEqual(ids('NOT tag:finance'), ['c3']);
+});
+
+test('invalid queries throw a QueryError explaining the problem', () => {
+  const invalid = {
+    'colour:red': /Unknown field "colour"/,
+    'priority:urgent': /Unknown priority "urgent"/,
+    'tag>ops': /tag can't be compared with >/,
+    'due:soon': /Invalid date "soon"/,
+    '(status:todo': /Expected \)/,
+    'title:"open': /Unterminated quote/,
+    'is:sleepy': /Use is:</
+  };
+  Object.entries(invalid).forEach(([query, message]) => {
+    assert.throws(() => parseQuery(query, ctx), error => error instanceof QueryError && message.test(error.message), query);
+  });
+});
+
+test('parseSort orders by each field in turn, empty values last, then by ID', () => {
+  const sorter = parseSort('-priority,due', ctx);
+  assert.deepEqual([...tasks].sort(sorter.compare).map(task => task.id), ['c3', 'a1', 'b2']);
+
+  const byDue = parseSort('due', ctx);
+  assert.deepEqual([...tasks].sort(byDue.compare).map(task => task.id), ['a1', 'c3', 'b2']);
+  assert.deepEqual(byDue.key(tasks[1]), [null, 'b2']);
+
+  assert.throws(() => parseSort('colour', ctx), QueryError);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex } = require('../lib/search-index');
+
+function task(id, fields) {
+  return { id, board_id: 'default', title: '', description: '', tags: [], comments: [], ...fields };
+}
+
+function indexOf(...tasks) {
+  const index = createSearchIndex();
+  index.rebuild(tasks);
+  return index;
+}
+
+const hitIds = result => result.hits.map(hit => hit.task.id);
+
+test('every query word has to match', () => {
+  const index = indexOf(
+    task('a', { title: 'Nightly backup', description: 'Copy the database' }),
+    task('b', { title: 'Backup review' })
+  );
+
+  assert.deepEqual(hitIds(index.search('backup database')), ['a']);
+  assert.equal(index.search('backup').total, 2);
+  assert.deepEqual(index.search('').hits, []);
+});
+
+test('a title hit ranks above a description or comment hit', () => {
+  const index = indexOf(
+    task('comment', { title: 'Weekly sync', comments: [{ text: 'the invoice is late' }] }),
+    task('title', { title: 'Send invoice' }),
+    task('description', { title: 'Accounting', description: 'Prepare the invoice' })
+  );
+
+  const { total, hits } = index.search('invoice ');
+  assert.equal(total, 3);
+  assert.equal(hits[0].task.id, 'title');
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('case, accents and plural endings are ignored', () => {
+  const index = indexOf(task('a', { title: 'Café Backups', description: 'Two stories' }));
+
+  assert.deepEqual(hitIds(index.search('cafe backup ')), ['a']);
+  assert.deepEqual(hitIds(index.search('story ')), ['a']);
+});
+
+test('the last word also matches words it starts, the others do not', () => {
+  const index = indexOf(task('a', { title: 'Deploy backups' }));
+
+  assert.deepEqual(hitIds(index.search('back')), ['a']);
+  assert.deepEqual(hitIds(index.search('back ')), []);
+  assert.deepEqual(hitIds(index.search('dep backups')), []);
+});
+
+test('update and remove keep the index current', () => {
+  const index = indexOf(task('a', { title: 'Old title' }));
+
+  index.update(task('a', { title: 'New title' }));
+  assert.equal(index.search('old ').total, 0);
+  assert.deepEqual(hitIds(index.search('new ')), ['a']);
+
+  index.remove('a');
+  assert.equal(index.search('title ').total, 0);
+});
+
+test('search is limited to a board and an extra filter', () => {
+  const index = indexOf(
+    task('a', { title: 'Report', board_id: 'one' }),
+    task('b', { title: 'Report', board_id: 'two', status: 'done' }),
+    task('c', { title: 'Report', board_id: 'two', status: 'todo' })
+  );
+
+  assert.deepEqual(hitIds(index.search('report', { boardId: 'two' })).sort(), ['b', 'c']);
+  assert.deepEqual(hitIds(index.search('report', { boardId: 'two', filter: t => t.status === 'todo' })), ['c']);
+
+  const limited = index.search('report', { limit: 1 });
+  assert.equal(limited.total, 3);
+  assert.equal(limited.hits.length, 1);
+});
+
+test('highlights mark the matched words and escape HTML', () => {
+  const index = indexOf(task('a', {
+    title: 'Fix <login> bug',
+    tags: ['login', 'auth'],
+    description: `${'x '.repeat(80)}the login page ${'y '.repeat(80)}`,
+    comments: [{ text: 'unrelated' }, { text: 'Login works again' }]
+  }));
+
+  const { highlights } = index.search('login ').hits[0];
+  assert.equal(highlights.title, 'Fix &lt;<mark>login</mark>&gt; bug');
+  assert.deepEqual(highlights.tags, ['<mark>login</mark>']);
+  assert.match(highlights.description, /^….*the <mark>login<\/mark> page.*…$/);
+  assert.equal(highlights.comments, '<mark>Login</mark> works again');
+});
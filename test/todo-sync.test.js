@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTodoSync, TodoSyncError } = require('../lib/todo-sync');
+
+// A TODO file in a temp dir synced with an in-memory board
+function setup(text, { refuse = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'todo-sync-'));
+  const file = path.join(dir, 'TODO.md');
+  fs.writeFileSync(file, text);
+
+  const board = new Map(); // id -> { title, done }
+  const notes = [];
+  const commits = [];
+  let nextId = 1;
+
+  const sync = createTodoSync({
+    file,
+    persist: async change => { commits.push(change); },
+    readTask: id => (board.has(id) ? { ...board.get(id), archived: false } : null),
+    createTasks: async items => items.map(item => {
+      const id = `t${nextId++}`;
+      board.set(id, { title: item.title, done: item.done });
+      return id;
+    }),
+    updateTask: async (id, changes) => {
+      if (refuse) throw new TodoSyncError(refuse);
+      board.set(id, { ...board.get(id), ...changes });
+    },
+    addNote: async (id, text) => { notes.push({ id, text }); }
+  });
+
+  return {
+    sync,
+    board,
+    notes,
+    commits,
+    read: () => fs.readFileSync(file, 'utf8'),
+    write: content => fs.writeFileSync(file, content),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+test('new lines become tasks and get a marker written back', async t => {
+  const env = setup('# TODO\n\n- [ ] Backup photos\n* [x] Pay rent\nNot a task\n');
+  t.after(env.cleanup);
+
+  await env.sync.sync();
+
+  assert.deepEqual([...env.board.values()], [{ title: 'Backup photos', done: false }, { title: 'Pay rent', done: true }]);
+  assert.equal(env.read(), '# TODO\n\n- [ ] Backup photos <!-- kanban:t1 -->\n* [x] Pay rent <!-- kanban:t2 -->\nNot a task\n');
+  assert.equal(env.sync.status().tracked, 2);
+  assert.deepEqual(env.commits[0].upsert.todo_sync.map(record => record.id), ['t1', 't2']);
+});
+
+test('a change on either side reaches the other', async t => {
+  const env = setup('- [ ] Backup photos\n- [ ] Pay rent\n');
+  t.after(env.cleanup);
+  await env.sync.sync();
+
+  env.write('- [x] Backup photos <!-- kanban:t1 -->\n- [ ] Pay rent <!-- kanban:t2 -->\n');
+  env.board.set('t2', { title: 'Pay the rent', done: false });
+  await env.sync.sync();
+
+  assert.deepEqual(env.board.get('t1'), { title: 'Backup photos', done: true });
+  assert.equal(env.read(), '- [x] Backup photos <!-- kanban:t1 -->\n- [ ] Pay the rent <!-- kanban:t2 -->\n');
+  assert.deepEqual(env.notes, []);
+});
+
+test('when both sides changed the board wins and the file value becomes a note', async t => {
+  const env = setup('- [ ] Backup photos\n');
+  t.after(env.cleanup);
+  await env.sync.sync();
+
+  env.write('- [ ] Backup all photos <!-- kanban:t1 -->\n');
+  env.board.set('t1', { title: 'Backup photos to NAS', done: false });
+  await env.sync.sync();
+
+  assert.equal(env.read(), '- [ ] Backup photos to NAS <!-- kanban:t1 -->\n');
+  assert.equal(env.notes.length, 1);
+  assert.match(env.notes[0].text, /title changed in the file \("Backup all photos"\) and on the board/);
+  assert.deepEqual(env.sync.status().conflicts.map(c => [c.task_id, c.field, c.file_value]), [['t1', 'title', 'Backup all photos']]);
+});
+
+test('a change the board refuses is reported and the board value kept', async t => {
+  const env = setup('- [ ] Deploy\n', { refuse: 'Blocked by 1 open task' });
+  t.after(env.cleanup);
+  await env.sync.sync();
+
+  env.write('- [x] Deploy <!-- kanban:t1 -->\n');
+  await env.sync.sync();
+
+  assert.equal(env.read(), '- [ ] Deploy <!-- kanban:t1 -->\n');
+  assert.match(env.notes[0].text, /couldn't apply the file's change \(Blocked by 1 open task\)/);
+  assert.equal(env.sync.status().conflicts[0].reason, 'Blocked by 1 open task');
+});
+
+test('tasks deleted on the board lose their line; copied lines become new tasks', async t => {
+  const env = setup('- [ ] One\n- [ ] Two\n');
+  t.after(env.cleanup);
+  await env.sync.sync();
+
+  env.board.delete('t1');
+  env.write('- [ ] One <!-- kanban:t1 -->\n- [ ] Two <!-- kanban:t2 -->\n- [ ] Two <!-- kanban:t2 -->\n');
+  await env.sync.sync();
+
+  assert.equal(env.read(), '- [ ] Two <!-- kanban:t2 -->\n- [ ] Two <!-- kanban:t3 -->\n');
+  assert.deepEqual([...env.board.keys()], ['t2', 't3']);
+  assert.equal(env.sync.status().tracked, 2);
+});
+
+test('load restores the last sync state, so only real changes are applied', async t => {
+  const env = setup('- [x] Pay rent <!-- kanban:t9 -->\n');
+  t.after(env.cleanup);
+  env.board.set('t9', { title: 'Pay rent', done: false });
+
+  // The last sync saw it open on both sides; the file has since ticked it
+  env.sync.load([{ id: 't9', title: 'Pay rent', done: false, synced_at: '2026-03-01T00:00:00.000Z' }]);
+  await env.sync.sync();
+
+  assert.deepEqual(env.board.get('t9'), { title: 'Pay rent', done: true });
+});
+
+test('a missing file is reported and left alone', async t => {
+  const env = setup('');
+  t.after(env.cleanup);
+  fs.unlinkSync(env.sync.status().file);
+
+  await env.sync.sync();
+
+  assert.equal(env.sync.status().file_missing, true);
+  assert.equal(env.board.size, 0);
+});